@@ -0,0 +1,161 @@
+/**
+ * Activity Feed
+ * Shows recent public GitHub activity as a timeline
+ */
+
+class ActivityFeed {
+  constructor(githubApi) {
+    this.githubApi = githubApi;
+    this.maxItems = 10;
+    this.items = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load events and render the timeline
+   */
+  async init() {
+    const container = document.getElementById('activity-feed');
+    if (!container) {
+      return;
+    }
+
+    container.innerHTML = `<div class="activity-loading">${window.localeManager.t('activity.loading')}</div>`;
+
+    const events = await this.githubApi.getPublicEvents();
+    this.items = this.groupEvents(events).slice(0, this.maxItems);
+    this.loaded = true;
+    this.render(container);
+  }
+
+  /**
+   * Merge consecutive pushes to the same repository on the same day
+   * and drop events we don't show
+   */
+  groupEvents(events) {
+    const items = [];
+
+    events.forEach(event => {
+      if (event.type === 'CreateEvent' && event.refType !== 'repository') {
+        return;
+      }
+      if (event.type === 'ReleaseEvent' && event.action !== 'published') {
+        return;
+      }
+
+      const previous = items[items.length - 1];
+      if (
+        event.type === 'PushEvent' &&
+        previous &&
+        previous.type === 'PushEvent' &&
+        previous.repo === event.repo &&
+        new Date(previous.created_at).toDateString() === new Date(event.created_at).toDateString()
+      ) {
+        previous.commits += event.commits;
+        return;
+      }
+
+      items.push({ ...event });
+    });
+
+    return items;
+  }
+
+  /**
+   * Describe an activity item: icon, text and link
+   */
+  describe(item) {
+    const i18n = window.localeManager;
+    const repoUrl = `https://github.com/${item.repo}`;
+
+    switch (item.type) {
+      case 'PushEvent':
+        return {
+          icon: 'fas fa-code-commit',
+          text: i18n.t('activity.push', { repo: item.repo, count: item.commits }),
+          url: `${repoUrl}/commits`
+        };
+      case 'PullRequestEvent': {
+        const action = item.action === 'closed' ? (item.merged ? 'merged' : 'closed') : 'opened';
+        return {
+          icon: 'fas fa-code-pull-request',
+          text: i18n.t(`activity.pullRequest.${action}`, { repo: item.repo, number: item.number, title: item.title }),
+          url: item.url || repoUrl
+        };
+      }
+      case 'IssuesEvent': {
+        const action = item.action === 'closed' || item.action === 'reopened' ? item.action : 'opened';
+        return {
+          icon: 'fas fa-circle-dot',
+          text: i18n.t(`activity.issue.${action}`, { repo: item.repo, number: item.number, title: item.title }),
+          url: item.url || repoUrl
+        };
+      }
+      case 'ReleaseEvent':
+        return {
+          icon: 'fas fa-tag',
+          text: i18n.t('activity.release', { repo: item.repo, tag: item.tag }),
+          url: item.url || repoUrl
+        };
+      case 'CreateEvent':
+        return {
+          icon: 'fas fa-book',
+          text: i18n.t('activity.create', { repo: item.repo }),
+          url: repoUrl
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Render the timeline
+   */
+  render(container) {
+    if (this.items.length === 0) {
+      container.innerHTML = `<p class="activity-empty">${window.localeManager.t('activity.empty')}</p>`;
+      return;
+    }
+
+    const escape = PortfolioUtils.escapeHtml;
+    const entries = this.items
+      .map(item => ({ item, description: this.describe(item) }))
+      .filter(entry => entry.description)
+      .map(({ item, description }) => `
+        <li class="activity-item activity-${item.type.replace('Event', '').toLowerCase()}">
+          <i class="${description.icon} activity-icon" aria-hidden="true"></i>
+          <div class="activity-body">
+            <a href="${escape(description.url)}" target="_blank" rel="noopener noreferrer" class="activity-link">
+              ${escape(description.text)}
+            </a>
+            <time class="activity-time" datetime="${escape(item.created_at)}" title="${escape(window.localeManager.formatDateTime(item.created_at))}">
+              ${escape(window.localeManager.formatRelativeTime(item.created_at))}
+            </time>
+          </div>
+        </li>
+      `).join('');
+
+    container.innerHTML = `<ol class="activity-timeline">${entries}</ol>`;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const activityFeed = new ActivityFeed(window.githubApi);
+  activityFeed.init();
+
+  document.addEventListener('localeChanged', () => {
+    const container = document.getElementById('activity-feed');
+    if (container && activityFeed.loaded) {
+      activityFeed.render(container);
+    }
+  });
+
+  // Make activity feed globally available
+  window.activityFeed = activityFeed;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActivityFeed;
+}
@@ -0,0 +1,259 @@
+/**
+ * Articles Component
+ * Shows Zenn articles from a JSON snapshot or an RSS/Atom feed
+ */
+
+class ArticlesManager {
+  constructor(options = {}) {
+    this.source = options.source || './data/articles.json';
+    this.profileUrl = options.profileUrl || 'https://zenn.dev/meirai';
+    this.perPage = options.perPage || 6;
+    this.articles = [];
+    this.currentPage = 1;
+    this.loaded = false;
+  }
+
+  /**
+   * Load articles and render the first page
+   */
+  async init() {
+    const container = document.getElementById('articles-list');
+    if (!container) {
+      return;
+    }
+
+    container.innerHTML = `<div class="articles-loading">${window.localeManager.t('articles.loading')}</div>`;
+
+    try {
+      this.articles = await this.loadArticles(this.source);
+    } catch (error) {
+      console.warn('Failed to load articles:', error);
+      this.articles = [];
+    }
+
+    this.loaded = true;
+    this.render();
+  }
+
+  /**
+   * Fetch the source and parse it as JSON or RSS/Atom
+   */
+  async loadArticles(source) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load articles: ${response.status}`);
+    }
+
+    const text = await response.text();
+    const articles = text.trim().startsWith('<') ?
+      this.parseFeed(text) :
+      (JSON.parse(text).articles || []);
+
+    // Articles without a valid date go last
+    const time = article => {
+      const date = ArticlesManager.parseDate(article.publishedAt);
+      return date ? new Date(date).getTime() : -Infinity;
+    };
+    return articles
+      .filter(article => article.title && /^https?:\/\//.test(article.url || ''))
+      .sort((a, b) => time(b) - time(a) || 0);
+  }
+
+  /**
+   * Parse an RSS 2.0 or Atom feed
+   */
+  parseFeed(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+      throw new Error('Invalid feed XML');
+    }
+
+    const text = (parent, selector) => {
+      const element = parent.querySelector(selector);
+      return element ? element.textContent.trim() : '';
+    };
+
+    // RSS 2.0 (Zenn's /feed format)
+    const items = [...doc.querySelectorAll('item')];
+    if (items.length > 0) {
+      return items.map(item => ({
+        title: text(item, 'title'),
+        url: text(item, 'link'),
+        publishedAt: ArticlesManager.parseDate(text(item, 'pubDate')),
+        likes: null,
+        emoji: null,
+        topics: [...item.querySelectorAll('category')].map(category => category.textContent.trim())
+      }));
+    }
+
+    // Atom
+    return [...doc.querySelectorAll('entry')].map(entry => {
+      const link = entry.querySelector('link[rel="alternate"]') || entry.querySelector('link');
+      return {
+        title: text(entry, 'title'),
+        url: link ? link.getAttribute('href') : '',
+        publishedAt: ArticlesManager.parseDate(text(entry, 'published') || text(entry, 'updated')),
+        likes: null,
+        emoji: null,
+        topics: [...entry.querySelectorAll('category')].map(category => category.getAttribute('term'))
+      };
+    });
+  }
+
+  /**
+   * Get the number of pages
+   */
+  getPageCount() {
+    return Math.max(1, Math.ceil(this.articles.length / this.perPage));
+  }
+
+  /**
+   * Go to a page
+   */
+  goToPage(page) {
+    this.currentPage = Math.min(Math.max(1, page), this.getPageCount());
+    this.render();
+  }
+
+  /**
+   * Create article card HTML
+   */
+  createArticleCard(article) {
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const publishedAt = ArticlesManager.parseDate(article.publishedAt);
+
+    const likes = typeof article.likes === 'number' ?
+      `<span class="article-likes" title="${escape(i18n.t('articles.likes'))}">
+        <i class="fas fa-heart" aria-hidden="true"></i>${article.likes.toLocaleString()}
+        <span class="sr-only">${escape(i18n.t('articles.likes'))}</span>
+      </span>` : '';
+
+    const topics = (article.topics || []).map(topic =>
+      `<span class="tech-tag">${escape(topic)}</span>`
+    ).join('');
+
+    return `
+      <article class="article-card">
+        <span class="article-emoji" aria-hidden="true">${escape(article.emoji || '📝')}</span>
+        <div class="article-body">
+          <h3 class="article-title">
+            <a href="${escape(article.url)}" target="_blank" rel="noopener noreferrer">${escape(article.title)}</a>
+          </h3>
+          <div class="article-meta">
+            ${publishedAt ? `<time datetime="${escape(publishedAt)}">${escape(i18n.formatDate(publishedAt))}</time>` : ''}
+            ${likes}
+          </div>
+          <div class="article-topics">${topics}</div>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Render the current page and pagination controls
+   */
+  render() {
+    const container = document.getElementById('articles-list');
+    const pagination = document.getElementById('articles-pagination');
+    if (!container) {
+      return;
+    }
+
+    if (this.articles.length === 0) {
+      container.innerHTML = `
+        <p class="articles-empty">
+          ${window.localeManager.t('articles.empty', {
+            link: `<a href="${PortfolioUtils.escapeHtml(this.profileUrl)}" target="_blank" rel="noopener noreferrer">Zenn</a>`
+          })}
+        </p>
+      `;
+      if (pagination) pagination.innerHTML = '';
+      return;
+    }
+
+    const start = (this.currentPage - 1) * this.perPage;
+    container.innerHTML = this.articles
+      .slice(start, start + this.perPage)
+      .map(article => this.createArticleCard(article))
+      .join('');
+
+    if (pagination) {
+      this.renderPagination(pagination);
+    }
+
+    document.dispatchEvent(new CustomEvent('articlesDisplayed', {
+      detail: { page: this.currentPage, articles: this.articles }
+    }));
+  }
+
+  /**
+   * Render previous/next pagination
+   */
+  renderPagination(pagination) {
+    const pageCount = this.getPageCount();
+    if (pageCount <= 1) {
+      pagination.innerHTML = '';
+      return;
+    }
+
+    pagination.innerHTML = `
+      <button class="btn secondary" data-page="${this.currentPage - 1}" ${this.currentPage === 1 ? 'disabled' : ''}>
+        <i class="fas fa-chevron-left" aria-hidden="true"></i>
+        ${window.localeManager.t('articles.previous')}
+      </button>
+      <span class="articles-page" aria-live="polite">${this.currentPage} / ${pageCount}</span>
+      <button class="btn secondary" data-page="${this.currentPage + 1}" ${this.currentPage === pageCount ? 'disabled' : ''}>
+        ${window.localeManager.t('articles.next')}
+        <i class="fas fa-chevron-right" aria-hidden="true"></i>
+      </button>
+    `;
+
+    pagination.querySelectorAll('button[data-page]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.goToPage(parseInt(button.dataset.page, 10));
+      });
+    });
+  }
+
+  /**
+   * Parse a feed or JSON date to an ISO string, or null when missing or invalid
+   */
+  static parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Read the source from ?articles-feed= for local testing (relative paths only)
+   */
+  static getSourceFromUrl() {
+    const source = new URLSearchParams(window.location.search).get('articles-feed');
+    return source && source.startsWith('./') ? source : null;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const articlesManager = new ArticlesManager({
+    source: ArticlesManager.getSourceFromUrl() || undefined
+  });
+  articlesManager.init();
+
+  document.addEventListener('localeChanged', () => {
+    if (articlesManager.loaded) {
+      articlesManager.render();
+    }
+  });
+
+  // Make articles manager globally available
+  window.articlesManager = articlesManager;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ArticlesManager;
+}
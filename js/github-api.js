@@ -1,124 +1,478 @@
 /**
  * GitHub API Integration
- * Fetches user statistics from GitHub API
+ * Fetches user statistics through a pluggable data provider (REST, GraphQL or fixtures)
  */
 
 class GitHubAPI {
-  constructor(username = 'minngk') {
-    this.username = username;
-    this.apiUrl = `https://api.github.com/users/${username}`;
+  constructor(username = 'minngk', options = {}) {
+    this.accounts = options.accounts || [{ login: username, type: 'user' }];
+    this.username = this.accounts[0].login;
+    this.statsMode = options.statsMode || 'combined';
+    this.ready = Promise.resolve();
+    this.provider = options.provider || new GitHubRestProvider();
+    this.storageKey = 'portfolio-github-cache';
     this.cache = {
-      data: null,
-      timestamp: null,
+      entries: this.loadCache(),
       ttl: 5 * 60 * 1000 // 5 minutes cache
     };
+    this.inflight = {};
+    // Last failure per cache key, cleared when the key loads again
+    this.requestErrors = {};
+    this.snapshotUrl = options.snapshotUrl || './data/github-snapshot.json';
+    this.snapshotPromise = null;
+    this.dataSource = null;
+    this.statsRendered = false;
+    // Set once the refresh scheduler exists; consulted before optional bulk requests
+    this.refreshScheduler = null;
+    this.languageBreakdownPromise = null;
   }
 
   /**
-   * Check if cached data is still valid
+   * Create a data provider by type ('rest', 'graphql' or 'fixture')
    */
-  isCacheValid() {
-    if (!this.cache.data || !this.cache.timestamp) {
+  static createProvider(type = 'rest', options = {}) {
+    switch (type) {
+      case 'graphql':
+        // The GraphQL API rejects unauthenticated requests
+        if (!options.token) {
+          console.warn('GraphQL provider requires a token, falling back to REST');
+          return new GitHubRestProvider(options);
+        }
+        return new GitHubGraphQLProvider(options);
+      case 'fixture':
+        return new GitHubFixtureProvider(options);
+      default:
+        return new GitHubRestProvider(options);
+    }
+  }
+
+  /**
+   * Read provider settings from the URL (?github-provider=fixture) or localStorage.
+   * A token for the GraphQL provider is only ever read from localStorage.
+   */
+  static getProviderConfig() {
+    const config = { type: 'rest', token: null };
+
+    try {
+      config.type = localStorage.getItem('portfolio-github-provider') || config.type;
+      config.token = localStorage.getItem('portfolio-github-token');
+    } catch (error) {
+      console.warn('Failed to read GitHub provider settings:', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('github-provider')) {
+      config.type = params.get('github-provider');
+    }
+
+    return config;
+  }
+
+  /**
+   * Load accounts and stats mode from the site config in data/projects.json
+   */
+  loadSiteConfig(url = './data/projects.json') {
+    this.ready = fetch(url)
+      .then(response => (response.ok ? response.json() : {}))
+      .then(data => this.configure(data.site || {}))
+      .catch(error => {
+        console.warn('Failed to load site config:', error);
+      });
+    return this.ready;
+  }
+
+  /**
+   * Apply site config: { accounts: [{ login, type: 'user' | 'org' }], statsMode }
+   */
+  configure(site) {
+    const accounts = (site.accounts || []).filter(account => account && account.login);
+    if (accounts.length > 0) {
+      this.accounts = accounts.map(account => ({
+        login: account.login,
+        type: account.type === 'org' ? 'org' : 'user'
+      }));
+      this.username = this.accounts[0].login;
+    }
+    if (site.statsMode) {
+      this.statsMode = site.statsMode;
+    }
+    this.renderProfileLinks();
+  }
+
+  /**
+   * Get the configured account that owns a login, if any
+   */
+  getAccount(login) {
+    return this.accounts.find(account => account.login.toLowerCase() === (login || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Replace the static GitHub profile links with one per configured account
+   */
+  renderProfileLinks() {
+    const container = document.querySelector('.social-links');
+    if (!container) {
+      return;
+    }
+
+    container.querySelectorAll('[data-account-link]').forEach(link => link.remove());
+
+    const links = this.accounts.map(account => {
+      const link = document.createElement('a');
+      link.href = `https://github.com/${encodeURIComponent(account.login)}`;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.dataset.accountLink = account.login;
+      link.setAttribute('aria-label', this.accounts.length > 1 ? `GitHub (${account.login})` : 'GitHub');
+      link.title = account.login;
+      link.innerHTML = `<i class="${account.type === 'org' ? 'fas fa-building' : 'fab fa-github'}" aria-hidden="true"></i>`;
+      return link;
+    });
+
+    container.prepend(...links);
+  }
+
+  /**
+   * Current rate limit as reported by the provider
+   */
+  get rateLimit() {
+    return this.provider.rateLimit;
+  }
+
+  /**
+   * Load persisted cache entries from localStorage
+   */
+  loadCache() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Failed to load GitHub cache:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist cache entries to localStorage
+   */
+  saveCache() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.cache.entries));
+    } catch (error) {
+      console.warn('Failed to save GitHub cache:', error);
+    }
+  }
+
+  /**
+   * Check if a cache entry is still valid
+   */
+  isCacheValid(entry, ttl = this.cache.ttl) {
+    if (!entry || !entry.timestamp) {
       return false;
     }
-    return (Date.now() - this.cache.timestamp) < this.cache.ttl;
+    return (Date.now() - entry.timestamp) < ttl;
   }
 
   /**
-   * Fetch user data from GitHub API
+   * Store a cache entry and persist it
    */
-  async fetchUserData() {
-    // Return cached data if valid
-    if (this.isCacheValid()) {
-      return this.cache.data;
+  setCacheEntry(key, data, etag = null) {
+    this.cache.entries[key] = {
+      data,
+      etag,
+      timestamp: Date.now()
+    };
+    this.saveCache();
+  }
+
+  /**
+   * Fetch a resource through the persistent cache.
+   * The loader receives the cached ETag and returns a provider result.
+   * Concurrent requests for the same key share one network request.
+   */
+  async cachedRequest(key, loader, ttl = this.cache.ttl) {
+    key = `${this.provider.name}:${key}`;
+    const entry = this.cache.entries[key];
+    if (this.isCacheValid(entry, ttl)) {
+      return entry.data;
+    }
+
+    if (!this.inflight[key]) {
+      this.inflight[key] = this.revalidate(key, loader)
+        .finally(() => {
+          delete this.inflight[key];
+        });
     }
+    return this.inflight[key];
+  }
+
+  /**
+   * Error of the last failed request for a key, even if cached data was served
+   */
+  getRequestError(key) {
+    return this.requestErrors[`${this.provider.name}:${key}`] || null;
+  }
+
+  /**
+   * Refresh a cache entry from the network.
+   * Serves the last good data if the request fails.
+   */
+  async revalidate(key, loader) {
+    const entry = this.cache.entries[key];
 
     try {
-      const response = await fetch(this.apiUrl, {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json',
-        }
-      });
+      const result = await loader(entry && entry.etag);
+      delete this.requestErrors[key];
 
-      if (!response.ok) {
-        throw new Error(`GitHub API responded with status: ${response.status}`);
+      if (result.notModified && entry) {
+        entry.timestamp = Date.now();
+        this.saveCache();
+        return entry.data;
       }
 
-      const data = await response.json();
-      
-      // Cache the data
-      this.cache.data = {
-        public_repos: data.public_repos || 0,
-        followers: data.followers || 0,
-        following: data.following || 0,
-        avatar_url: data.avatar_url || '',
-        bio: data.bio || '',
-        location: data.location || '',
-        company: data.company || '',
-        blog: data.blog || '',
-        created_at: data.created_at || ''
-      };
-      this.cache.timestamp = Date.now();
+      this.setCacheEntry(key, result.data, result.etag);
+
+      return result.data;
+    } catch (error) {
+      // A missing resource doesn't mean the API is failing
+      if (error.status !== 404) {
+        this.requestErrors[key] = error;
+      }
+      if (entry) {
+        console.warn(`Serving cached GitHub data for "${key}":`, error);
+        return entry.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the build-time snapshot (data/github-snapshot.json), or null if there is none.
+   * The file is generated by the GitHub Snapshot workflow; until its first run
+   * the request 404s, which is expected and not reported.
+   */
+  loadSnapshot() {
+    if (!this.snapshotPromise) {
+      this.snapshotPromise = fetch(this.snapshotUrl)
+        .then(response => (response.ok ? response.json() : null))
+        .then(snapshot => (snapshot && this.getSnapshotUser(snapshot, this.username) ? snapshot : null))
+        .catch(error => {
+          console.warn('Failed to load GitHub snapshot:', error);
+          return null;
+        });
+    }
+    return this.snapshotPromise;
+  }
+
+  /**
+   * Get an account's profile from the snapshot
+   */
+  getSnapshotUser(snapshot, login) {
+    const account = (snapshot.accounts || []).find(entry => entry.login.toLowerCase() === login.toLowerCase());
+    return account ? account.user : null;
+  }
 
-      return this.cache.data;
+  /**
+   * Fetch profile data for one account, falling back to the snapshot
+   */
+  async fetchAccountData(account) {
+    try {
+      const data = await this.cachedRequest(`user:${account.login}`, etag =>
+        this.provider.getUser(account.login, { type: account.type, etag })
+      );
+      return { ...account, data, source: 'api', error: this.getRequestError(`user:${account.login}`) };
     } catch (error) {
-      console.warn('Failed to fetch GitHub data:', error);
+      console.warn(`Failed to fetch GitHub data for ${account.login}:`, error);
+
+      const snapshot = await this.loadSnapshot();
+      const snapshotUser = snapshot && this.getSnapshotUser(snapshot, account.login);
+      if (snapshotUser) {
+        return { ...account, data: snapshotUser, source: 'snapshot', error };
+      }
       
-      // Return fallback data
+      // Return fallback data when nothing has been cached yet
       return {
-        public_repos: '?',
-        followers: '?',
-        following: '?',
-        avatar_url: '',
-        bio: '',
-        location: '',
-        company: '',
-        blog: '',
-        created_at: ''
+        ...account,
+        data: {
+          public_repos: '?',
+          followers: '?',
+          following: '?',
+          avatar_url: '',
+          bio: '',
+          location: '',
+          company: '',
+          blog: '',
+          created_at: ''
+        },
+        source: null,
+        error
       };
     }
   }
 
   /**
-   * Update DOM elements with GitHub stats
+   * Fetch profile data for every configured account
+   */
+  async fetchAccountsData() {
+    await this.ready;
+    const accountsData = await Promise.all(this.accounts.map(account => this.fetchAccountData(account)));
+
+    if (accountsData.some(account => account.source === 'snapshot')) {
+      this.dataSource = 'snapshot';
+    } else {
+      this.dataSource = accountsData.every(account => account.source === 'api') ? 'api' : null;
+    }
+
+    return accountsData;
+  }
+
+  /**
+   * Combine account stats; profile fields come from the first account
+   */
+  combineAccountData(accountsData) {
+    const sum = key => (accountsData.every(account => typeof account.data[key] === 'number') ?
+      accountsData.reduce((total, account) => total + account.data[key], 0) :
+      '?');
+
+    return {
+      ...accountsData[0].data,
+      public_repos: sum('public_repos'),
+      followers: sum('followers'),
+      following: sum('following')
+    };
+  }
+
+  /**
+   * Fetch user data from GitHub API (combined across configured accounts)
+   */
+  async fetchUserData() {
+    return this.combineAccountData(await this.fetchAccountsData());
+  }
+
+  /**
+   * Update DOM elements with GitHub stats.
+   * Returns the error that kept the stats from refreshing, or null.
    */
   async updateStats() {
-    const reposElement = document.getElementById('repos-count');
-    const followersElement = document.getElementById('followers-count');
-    const followingElement = document.getElementById('following-count');
+    await this.ready;
 
-    // Show loading state
-    if (reposElement) reposElement.textContent = '...';
-    if (followersElement) followersElement.textContent = '...';
-    if (followingElement) followingElement.textContent = '...';
+    // Show the snapshot on first render while live data loads, otherwise a loading state
+    const snapshot = this.statsRendered ? null : await this.loadSnapshot();
+    if (snapshot) {
+      this.renderStats(this.accounts.map(account => ({
+        ...account,
+        data: this.getSnapshotUser(snapshot, account.login)
+      })), false);
+      this.dataSource = 'snapshot';
+      this.updateDataAsOf();
+    } else {
+      this.renderStats(null, false);
+    }
+    this.statsRendered = true;
 
     try {
-      const data = await this.fetchUserData();
-
-      // Update stats with animation
-      if (reposElement) {
-        this.animateNumber(reposElement, data.public_repos);
-      }
-      if (followersElement) {
-        this.animateNumber(followersElement, data.followers);
-      }
-      if (followingElement) {
-        this.animateNumber(followingElement, data.following);
-      }
+      const accountsData = await this.fetchAccountsData();
+      const data = this.combineAccountData(accountsData);
+      this.renderStats(accountsData, true);
+      this.updateDataAsOf();
 
       // Dispatch custom event for other components
       document.dispatchEvent(new CustomEvent('githubDataLoaded', {
-        detail: data
+        detail: { ...data, accounts: accountsData }
       }));
 
+      const failed = accountsData.find(account => account.error);
+      return failed ? failed.error : null;
     } catch (error) {
       console.error('Error updating GitHub stats:', error);
       
       // Show error state
-      if (reposElement) reposElement.textContent = '?';
-      if (followersElement) followersElement.textContent = '?';
-      if (followingElement) followingElement.textContent = '?';
+      this.renderStats(this.accounts.map(account => ({ ...account, data: null })), false, '?');
+      return error;
+    }
+  }
+
+  /**
+   * Render stats combined into the header cards, or one group per account.
+   * Accounts without data show the placeholder.
+   */
+  renderStats(accountsData, animate, placeholder = '...') {
+    const list = accountsData || this.accounts.map(account => ({ ...account, data: null }));
+    const setValue = (element, value) => {
+      if (!element) return;
+      if (value === undefined || value === null) {
+        element.textContent = placeholder;
+      } else if (animate) {
+        this.animateNumber(element, value);
+      } else {
+        element.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+      }
+    };
+
+    if (this.statsMode === 'per-account' && this.accounts.length > 1) {
+      const container = document.querySelector('.github-stats');
+      if (!container) return;
+
+      const i18n = window.localeManager;
+      container.classList.add('per-account');
+      container.innerHTML = list.map(account => `
+        <div class="stat-group">
+          <a class="stat-group-title" href="https://github.com/${encodeURIComponent(account.login)}" target="_blank" rel="noopener noreferrer">
+            <i class="${account.type === 'org' ? 'fas fa-building' : 'fab fa-github'}" aria-hidden="true"></i>
+            ${PortfolioUtils.escapeHtml(account.login)}
+          </a>
+          <div class="stat-group-cards">
+            <div class="stat-card">
+              <span class="stat-number" data-stat="public_repos">${placeholder}</span>
+              <span class="stat-label" data-i18n="stats.repos">${i18n.t('stats.repos')}</span>
+            </div>
+            <div class="stat-card">
+              <span class="stat-number" data-stat="followers">${placeholder}</span>
+              <span class="stat-label" data-i18n="stats.followers">${i18n.t('stats.followers')}</span>
+            </div>
+            ${account.type === 'org' ? '' : `
+            <div class="stat-card">
+              <span class="stat-number" data-stat="following">${placeholder}</span>
+              <span class="stat-label" data-i18n="stats.following">${i18n.t('stats.following')}</span>
+            </div>`}
+          </div>
+        </div>
+      `).join('');
+
+      container.querySelectorAll('.stat-group').forEach((group, index) => {
+        const data = list[index].data;
+        group.querySelectorAll('[data-stat]').forEach(element => {
+          setValue(element, data ? data[element.dataset.stat] : null);
+        });
+      });
+      return;
     }
+
+    const data = list.every(account => account.data) ? this.combineAccountData(list) : {};
+    setValue(document.getElementById('repos-count'), data.public_repos);
+    setValue(document.getElementById('followers-count'), data.followers);
+    setValue(document.getElementById('following-count'), data.following);
+  }
+
+  /**
+   * Show "data as of" while only snapshot data is displayed
+   */
+  async updateDataAsOf() {
+    const element = document.getElementById('github-data-as-of');
+    if (!element) {
+      return;
+    }
+
+    const snapshot = await this.loadSnapshot();
+    if (this.dataSource !== 'snapshot' || !snapshot) {
+      element.hidden = true;
+      return;
+    }
+
+    const date = new Date(snapshot.generatedAt);
+    element.textContent = window.localeManager.t('stats.asOf', { date: window.localeManager.formatDate(date) });
+    element.title = window.localeManager.formatDateTime(date);
+    element.hidden = false;
   }
 
   /**
@@ -155,39 +509,292 @@ class GitHubAPI {
   }
 
   /**
-   * Get repository information
+   * Fetch a single page of repositories for an account
+   */
+  async fetchRepositoryPage(page = 1, perPage = 30, account = this.accounts[0]) {
+    return this.cachedRequest(`repos:${account.login}:${page}:${perPage}`, etag =>
+      this.provider.getRepositories(account.login, { type: account.type, page, perPage, etag })
+    );
+  }
+
+  /**
+   * Get repository information for the primary account
    */
   async getRepositories(page = 1, perPage = 30) {
+    await this.ready;
     try {
-      const response = await fetch(
-        `https://api.github.com/users/${this.username}/repos?page=${page}&per_page=${perPage}&sort=updated&direction=desc`,
-        {
-          headers: {
-            'Accept': 'application/vnd.github.v3+json',
+      return await this.fetchRepositoryPage(page, perPage);
+    } catch (error) {
+      console.warn('Failed to fetch repositories:', error);
+      const snapshot = await this.loadSnapshot();
+      return snapshot ? snapshot.repositories.slice((page - 1) * perPage, page * perPage) : [];
+    }
+  }
+
+  /**
+   * Get all public repositories of every configured account, paging through the API
+   */
+  async getAllRepositories(maxPages = 10) {
+    await this.ready;
+    const perPage = 100;
+    const repositories = [];
+    let failed = false;
+
+    for (const account of this.accounts) {
+      try {
+        for (let page = 1; page <= maxPages; page++) {
+          const repos = await this.fetchRepositoryPage(page, perPage, account);
+          repositories.push(...repos);
+          if (repos.length < perPage) {
+            break;
           }
         }
-      );
+      } catch (error) {
+        console.warn(`Failed to fetch all repositories for ${account.login}:`, error);
+        failed = true;
+      }
+    }
+
+    if (failed && repositories.length === 0) {
+      const snapshot = await this.loadSnapshot();
+      return snapshot ? snapshot.repositories : [];
+    }
+
+    return repositories;
+  }
+
+  /**
+   * Parse a GitHub repository URL into owner and name
+   */
+  parseRepositoryUrl(url) {
+    const match = /^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/i.exec(url || '');
+    return match ? { owner: match[1], name: match[2] } : null;
+  }
+
+  /**
+   * Get a single repository
+   */
+  async getRepository(owner, name) {
+    await this.ready;
 
-      if (!response.ok) {
-        throw new Error(`GitHub API responded with status: ${response.status}`);
+    // Our own repositories come from the paged list, shared by all cards
+    if (this.getAccount(owner)) {
+      const repos = await this.getAllRepositories();
+      const repo = repos.find(r => r.name.toLowerCase() === name.toLowerCase());
+      if (repo) {
+        return repo;
       }
+    }
 
-      const repos = await response.json();
-      return repos.map(repo => ({
-        name: repo.name,
-        description: repo.description || '',
-        html_url: repo.html_url,
-        homepage: repo.homepage || '',
-        language: repo.language || '',
-        stargazers_count: repo.stargazers_count || 0,
-        forks_count: repo.forks_count || 0,
-        updated_at: repo.updated_at,
-        created_at: repo.created_at,
-        topics: repo.topics || []
-      }));
+    return this.cachedRequest(`repo:${owner}/${name}`, etag =>
+      this.provider.getRepository(owner, name, { etag })
+    );
+  }
+
+  /**
+   * Get the latest release of a repository, or null if there is none
+   */
+  async getLatestRelease(owner, name) {
+    return this.cachedRequest(
+      `release:${owner}/${name}`,
+      etag => this.provider.getLatestRelease(owner, name, { etag }),
+      60 * 60 * 1000 // releases change rarely
+    );
+  }
+
+  /**
+   * Get metrics shown on a project card
+   */
+  async getRepositoryMetrics(owner, name) {
+    try {
+      const [repo, release] = await Promise.all([
+        this.getRepository(owner, name),
+        this.getLatestRelease(owner, name).catch(() => null)
+      ]);
+
+      return {
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        openIssues: repo.open_issues_count,
+        updatedAt: repo.pushed_at,
+        topics: repo.topics,
+        release
+      };
     } catch (error) {
-      console.warn('Failed to fetch repositories:', error);
-      return [];
+      console.warn(`Failed to fetch metrics for ${owner}/${name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get language byte counts for a repository
+   */
+  async getRepositoryLanguages(fullName) {
+    return this.cachedRequest(
+      `languages:${fullName}`,
+      etag => this.provider.getRepositoryLanguages(fullName, { etag }),
+      24 * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Get language byte counts combined across all public repositories.
+   * Serves the cached breakdown or the build-time snapshot right away and
+   * recomputes in the background, dispatching languageBreakdownUpdated.
+   * Only waits for the requests when there is nothing to show.
+   */
+  async getLanguageBreakdown() {
+    await this.ready;
+    const key = this.getLanguageBreakdownKey();
+    const entry = this.cache.entries[key];
+    if (this.isCacheValid(entry, 24 * 60 * 60 * 1000)) {
+      return entry.data;
+    }
+
+    const snapshot = entry ? null : await this.loadSnapshot();
+    const fallback = entry ? entry.data : (snapshot && snapshot.languages) || null;
+    if (!fallback) {
+      return this.refreshLanguageBreakdown();
+    }
+
+    this.refreshLanguageBreakdown()
+      .then(breakdown => {
+        if (breakdown && breakdown !== fallback) {
+          document.dispatchEvent(new CustomEvent('languageBreakdownUpdated', {
+            detail: { breakdown }
+          }));
+        }
+      })
+      .catch(error => {
+        console.warn('Failed to refresh language breakdown:', error);
+      });
+    return fallback;
+  }
+
+  /**
+   * Cache key of the combined language breakdown
+   */
+  getLanguageBreakdownKey() {
+    const logins = this.accounts.map(account => account.login).join(',');
+    return `${this.provider.name}:language-breakdown:${logins}`;
+  }
+
+  /**
+   * Recompute the language breakdown with one request per repository.
+   * Skipped, or stopped part way, while the rate limit is low; the previous
+   * breakdown (or null) is returned and nothing partial is cached.
+   */
+  refreshLanguageBreakdown() {
+    if (!this.languageBreakdownPromise) {
+      this.languageBreakdownPromise = this.computeLanguageBreakdown()
+        .finally(() => {
+          this.languageBreakdownPromise = null;
+        });
+    }
+    return this.languageBreakdownPromise;
+  }
+
+  /**
+   * Combine language byte counts across non-fork repositories
+   */
+  async computeLanguageBreakdown() {
+    const key = this.getLanguageBreakdownKey();
+    const entry = this.cache.entries[key];
+    const previous = entry ? entry.data : null;
+
+    const repos = (await this.getAllRepositories()).filter(repo => !repo.fork);
+    if (!this.hasQuotaFor(repos.length)) {
+      return previous;
+    }
+
+    const totals = {};
+    let repoCount = 0;
+
+    // Sequential requests keep us from bursting through the rate limit
+    for (const repo of repos) {
+      if (!this.hasQuotaFor(1)) {
+        return previous;
+      }
+      try {
+        const languages = await this.getRepositoryLanguages(repo.full_name);
+        Object.entries(languages).forEach(([language, bytes]) => {
+          totals[language] = (totals[language] || 0) + bytes;
+        });
+        repoCount++;
+      } catch (error) {
+        console.warn(`Failed to fetch languages for ${repo.full_name}:`, error);
+      }
+    }
+
+    if (repoCount === 0) {
+      return previous;
+    }
+
+    const breakdown = {
+      totals,
+      repoCount,
+      generatedAt: new Date().toISOString()
+    };
+    this.setCacheEntry(key, breakdown);
+
+    return breakdown;
+  }
+
+  /**
+   * Whether the refresh scheduler lets optional requests spend `count` more
+   * of the quota
+   */
+  hasQuotaFor(count) {
+    return !this.refreshScheduler || this.refreshScheduler.hasQuotaFor(count);
+  }
+
+  /**
+   * Get recent public events across configured accounts, newest first
+   */
+  async getPublicEvents(perPage = 30) {
+    await this.ready;
+
+    const results = await Promise.all(this.accounts.map(async account => {
+      try {
+        return await this.cachedRequest(`events:${account.login}`, etag =>
+          this.provider.getPublicEvents(account.login, { type: account.type, perPage, etag })
+        );
+      } catch (error) {
+        console.warn(`Failed to fetch public events for ${account.login}:`, error);
+        return [];
+      }
+    }));
+
+    // Events appear in both a user's and an organization's feed
+    const seen = new Set();
+    return results.flat()
+      .filter(event => !seen.has(event.id) && seen.add(event.id))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Get pinned repositories (GraphQL provider only, otherwise null)
+   */
+  async getPinnedRepositories() {
+    await this.ready;
+    try {
+      return await this.provider.getPinnedRepositories(this.username);
+    } catch (error) {
+      console.warn('Failed to fetch pinned repositories:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get contribution totals (GraphQL provider only, otherwise null)
+   */
+  async getContributionTotals() {
+    await this.ready;
+    try {
+      return await this.provider.getContributionTotals(this.username);
+    } catch (error) {
+      console.warn('Failed to fetch contribution totals:', error);
+      return null;
     }
   }
 
@@ -196,9 +803,7 @@ class GitHubAPI {
    */
   async checkRateLimit() {
     try {
-      const response = await fetch('https://api.github.com/rate_limit');
-      const data = await response.json();
-      return data.rate;
+      return await this.provider.getRateLimit();
     } catch (error) {
       console.warn('Failed to check rate limit:', error);
       return null;
@@ -208,18 +813,25 @@ class GitHubAPI {
 
 // Initialize GitHub API when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  const githubApi = new GitHubAPI();
+  const providerConfig = GitHubAPI.getProviderConfig();
+  const githubApi = new GitHubAPI(undefined, {
+    provider: GitHubAPI.createProvider(providerConfig.type, { token: providerConfig.token })
+  });
+  githubApi.loadSiteConfig();
+  const refreshScheduler = new RefreshScheduler(githubApi);
+  githubApi.refreshScheduler = refreshScheduler;
   
-  // Update stats immediately
-  githubApi.updateStats();
-  
-  // Set up periodic updates (every 5 minutes)
-  setInterval(() => {
-    githubApi.updateStats();
-  }, 5 * 60 * 1000);
+  // Update stats immediately, then periodically within the rate limit
+  refreshScheduler.start();
+
+  // Stat labels are translated in place; the date needs formatting again
+  document.addEventListener('localeChanged', () => {
+    githubApi.updateDataAsOf();
+  });
 
   // Make API instance globally available
   window.githubApi = githubApi;
+  window.refreshScheduler = refreshScheduler;
 });
 
 // Export for module usage
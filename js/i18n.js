@@ -0,0 +1,238 @@
+/**
+ * Locale Management
+ * Message catalogs, the language switcher and per-locale project fields
+ *
+ * Catalogs live in js/locales/<locale>.js and register themselves with
+ * LocaleManager.register. Missing messages fall back to the default locale
+ * (Japanese), then to the key itself.
+ */
+
+class LocaleManager {
+  constructor() {
+    this.locale = LocaleManager.DEFAULT_LOCALE;
+    // Localized copies per locale, keyed by the original project object
+    this.projectCache = {};
+    this.init();
+  }
+
+  /**
+   * Initialize locale manager
+   */
+  init() {
+    this.setLocale(this.loadSavedLocale() || this.detectLocale(), { save: false });
+    this.bindSwitcher();
+  }
+
+  /**
+   * Pick the first browser language we have a catalog for
+   */
+  detectLocale() {
+    const languages = navigator.languages && navigator.languages.length > 0 ?
+      navigator.languages : [navigator.language];
+    for (const language of languages) {
+      const locale = String(language || '').toLowerCase().split('-')[0];
+      if (LocaleManager.catalogs[locale]) {
+        return locale;
+      }
+    }
+    return LocaleManager.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Load saved locale from localStorage
+   */
+  loadSavedLocale() {
+    try {
+      const savedLocale = localStorage.getItem('portfolio-locale');
+      return savedLocale && LocaleManager.catalogs[savedLocale] ? savedLocale : null;
+    } catch (error) {
+      console.warn('Failed to load saved locale:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save locale to localStorage
+   */
+  saveLocale(locale) {
+    try {
+      localStorage.setItem('portfolio-locale', locale);
+    } catch (error) {
+      console.warn('Failed to save locale:', error);
+    }
+  }
+
+  /**
+   * Switch the page language and let components re-render
+   */
+  setLocale(locale, { save = true } = {}) {
+    if (!LocaleManager.catalogs[locale]) {
+      console.warn(`Locale "${locale}" not found`);
+      return;
+    }
+
+    const changed = locale !== this.locale;
+    this.locale = locale;
+    document.documentElement.lang = locale;
+    this.translateDocument();
+    this.updateSwitcher();
+
+    if (save) {
+      this.saveLocale(locale);
+    }
+    if (changed) {
+      document.dispatchEvent(new CustomEvent('localeChanged', {
+        detail: { locale }
+      }));
+    }
+  }
+
+  /**
+   * Translate a message key, replacing {name} placeholders with params
+   */
+  t(key, params = {}) {
+    const catalog = LocaleManager.catalogs[this.locale] || {};
+    const fallback = LocaleManager.catalogs[LocaleManager.DEFAULT_LOCALE] || {};
+    const message = catalog[key] !== undefined ? catalog[key] : fallback[key];
+    if (message === undefined) {
+      console.warn(`Missing message "${key}"`);
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (params[name] !== undefined ? String(params[name]) : placeholder));
+  }
+
+  /**
+   * Translate static markup: data-i18n sets the text, data-i18n-<attribute> an attribute
+   */
+  translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    LocaleManager.ATTRIBUTES.forEach(attribute => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+  }
+
+  /**
+   * Wire up the language switcher buttons
+   */
+  bindSwitcher() {
+    document.querySelectorAll('[data-locale]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.setLocale(button.dataset.locale);
+      });
+    });
+  }
+
+  /**
+   * Mark the active language in the switcher
+   */
+  updateSwitcher() {
+    document.querySelectorAll('[data-locale]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.locale === this.locale));
+    });
+  }
+
+  /**
+   * Format a date for the current locale; missing or invalid dates give ''
+   */
+  formatDate(date, options = {}) {
+    const value = LocaleManager.toDate(date);
+    return value ? value.toLocaleDateString(this.getIntlLocale(), options) : '';
+  }
+
+  /**
+   * Format a date and time for the current locale; missing or invalid dates give ''
+   */
+  formatDateTime(date) {
+    const value = LocaleManager.toDate(date);
+    return value ? value.toLocaleString(this.getIntlLocale()) : '';
+  }
+
+  /**
+   * Format a date relative to now for the current locale
+   */
+  formatRelativeTime(date) {
+    return PortfolioUtils.formatRelativeTime(date, this.locale);
+  }
+
+  /**
+   * BCP 47 tag used for Intl formatting
+   */
+  getIntlLocale() {
+    return LocaleManager.INTL_LOCALES[this.locale] || this.locale;
+  }
+
+  /**
+   * Project with name, description and details from translations[locale],
+   * falling back to the untranslated fields. Copies are cached per project
+   * object so search results and highlights stay stable between renders.
+   */
+  localizeProject(project) {
+    const translation = project && project.translations && project.translations[this.locale];
+    if (!translation) {
+      return project;
+    }
+
+    const cache = this.projectCache[this.locale] || (this.projectCache[this.locale] = new WeakMap());
+    if (!cache.has(project)) {
+      const localized = { ...project };
+      LocaleManager.PROJECT_FIELDS.forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field].trim()) {
+          localized[field] = translation[field];
+        }
+      });
+      cache.set(project, localized);
+    }
+    return cache.get(project);
+  }
+
+  /**
+   * Convert to a Date, or null for null, '' and unparseable values
+   */
+  static toDate(date) {
+    if (date === null || date === undefined || date === '') {
+      return null;
+    }
+    const value = new Date(date);
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  /**
+   * Register a message catalog
+   */
+  static register(locale, messages) {
+    LocaleManager.catalogs[locale] = { ...(LocaleManager.catalogs[locale] || {}), ...messages };
+  }
+}
+
+LocaleManager.DEFAULT_LOCALE = 'ja';
+
+LocaleManager.catalogs = {};
+
+LocaleManager.INTL_LOCALES = {
+  ja: 'ja-JP',
+  en: 'en-US'
+};
+
+LocaleManager.ATTRIBUTES = ['aria-label', 'placeholder', 'alt', 'title', 'content'];
+
+// Project fields that can be translated in projects.json
+LocaleManager.PROJECT_FIELDS = ['name', 'description', 'details'];
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const localeManager = new LocaleManager();
+
+  // Make locale manager globally available
+  window.localeManager = localeManager;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocaleManager;
+}
@@ -0,0 +1,154 @@
+/**
+ * Language Statistics
+ * Shows the language breakdown across all public repositories
+ */
+
+class LanguageStats {
+  constructor(githubApi, projectsManager) {
+    this.githubApi = githubApi;
+    this.projectsManager = projectsManager;
+    this.maxLanguages = 6;
+    this.breakdown = null;
+    // Used for languages without a card variant color
+    this.fallbackColors = ['#9cb39c', '#e8a5b5', '#8fa8c8', '#d4a574', '#b39cc4', '#7fb8b0'];
+  }
+
+  /**
+   * Load the breakdown and render the panel
+   */
+  async init() {
+    const panel = document.getElementById('languages-panel');
+    if (!panel) {
+      return;
+    }
+
+    panel.innerHTML = `<div class="languages-loading">${window.localeManager.t('languages.loading')}</div>`;
+
+    try {
+      this.breakdown = await this.githubApi.getLanguageBreakdown();
+    } catch (error) {
+      console.warn('Failed to load language breakdown:', error);
+    }
+
+    this.render(panel);
+  }
+
+  /**
+   * Convert byte totals into sorted percentages, grouping the tail as "other"
+   */
+  getLanguageShares(totals) {
+    const entries = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    const totalBytes = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+    if (totalBytes === 0) {
+      return [];
+    }
+
+    const shares = entries.slice(0, this.maxLanguages).map(([language, bytes]) => ({
+      language,
+      bytes,
+      percent: (bytes / totalBytes) * 100
+    }));
+
+    const otherBytes = entries.slice(this.maxLanguages).reduce((sum, [, bytes]) => sum + bytes, 0);
+    if (otherBytes > 0) {
+      shares.push({
+        language: window.localeManager.t('languages.other'),
+        bytes: otherBytes,
+        percent: (otherBytes / totalBytes) * 100,
+        other: true
+      });
+    }
+
+    return shares;
+  }
+
+  /**
+   * Render the stacked bar and legend
+   */
+  render(panel) {
+    const shares = this.breakdown ? this.getLanguageShares(this.breakdown.totals) : [];
+
+    if (shares.length === 0) {
+      panel.innerHTML = `<p class="languages-empty">${window.localeManager.t('languages.empty')}</p>`;
+      return;
+    }
+
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const formatPercent = percent => `${percent.toFixed(1)}%`;
+    const summary = shares.map(share => `${share.language} ${formatPercent(share.percent)}`).join(', ');
+
+    const segments = shares.map((share, index) => `
+      <span class="language-segment ${this.getVariant(share)}"
+            style="width: ${share.percent.toFixed(2)}%; ${this.getColorStyle(share, index)}"></span>
+    `).join('');
+
+    const legend = shares.map((share, index) => `
+      <li class="language-legend-item">
+        <span class="language-swatch ${this.getVariant(share)}" style="${this.getColorStyle(share, index)}" aria-hidden="true"></span>
+        <i class="${share.other ? 'fas fa-ellipsis-h' : this.projectsManager.getLanguageIcon(share.language)}" aria-hidden="true"></i>
+        <span class="language-name">${escape(share.language)}</span>
+        <span class="language-percent">${formatPercent(share.percent)}</span>
+      </li>
+    `).join('');
+
+    panel.innerHTML = `
+      <div class="language-bar" role="img" aria-label="${escape(i18n.t('languages.summary', { summary }))}">
+        ${segments}
+      </div>
+      <ul class="language-legend">
+        ${legend}
+      </ul>
+      <p class="languages-meta">
+        ${escape(i18n.t('languages.meta', { count: this.breakdown.repoCount, time: i18n.formatRelativeTime(this.breakdown.generatedAt) }))}
+      </p>
+    `;
+  }
+
+  /**
+   * Get the card variant class used to color a language
+   */
+  getVariant(share) {
+    return share.other ? '' : this.projectsManager.getCardVariant(share.language);
+  }
+
+  /**
+   * Inline color for languages without a variant class
+   */
+  getColorStyle(share, index) {
+    if (this.getVariant(share)) {
+      return '';
+    }
+    return `--language-color: ${this.fallbackColors[index % this.fallbackColors.length]};`;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const languageStats = new LanguageStats(window.githubApi, window.projectsManager);
+  languageStats.init();
+
+  document.addEventListener('localeChanged', () => {
+    const panel = document.getElementById('languages-panel');
+    if (panel && languageStats.breakdown) {
+      languageStats.render(panel);
+    }
+  });
+
+  // The cached or snapshot breakdown is shown first; swap in the recomputed one
+  document.addEventListener('languageBreakdownUpdated', (event) => {
+    const panel = document.getElementById('languages-panel');
+    if (panel) {
+      languageStats.breakdown = event.detail.breakdown;
+      languageStats.render(panel);
+    }
+  });
+
+  // Make language stats globally available
+  window.languageStats = languageStats;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LanguageStats;
+}
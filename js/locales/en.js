@@ -0,0 +1,152 @@
+/**
+ * English Messages
+ */
+
+LocaleManager.register('en', {
+  'locale.name': 'English',
+  'locale.switcher': 'Language',
+
+  'site.description': 'minngk - SRE portfolio',
+  'profile.imageAlt': "minngk's profile picture",
+  'about.body': 'I value keeping a creative mindset.',
+
+  'stats.repos': 'Repositories',
+  'stats.followers': 'Followers',
+  'stats.following': 'Following',
+  'stats.asOf': 'Data as of {date}',
+
+  'theme.toggle': 'Change theme',
+
+  'app.offline': 'You are offline',
+  'app.errorTitle': 'Loading error',
+  'app.errorBody': 'The application failed to initialize. Please reload the page.',
+  'app.reload': 'Reload',
+
+  'projects.title': 'Projects',
+  'projects.search': 'Search projects',
+  'projects.searchPlaceholder': 'Search projects (Ctrl+K)',
+  'projects.filterLanguage': 'Filter by language',
+  'projects.allLanguages': 'All languages',
+  'projects.filterStatus': 'Filter by status',
+  'projects.allStatuses': 'All statuses',
+  'projects.filterTechnology': 'Filter by technology',
+  'projects.sort': 'Sort order',
+  'projects.featuredFirst': 'Show featured first',
+  'projects.showArchived': 'Show archived',
+  'projects.reset': 'Reset',
+  'projects.loading': 'Loading projects...',
+  'projects.emptyTitle': 'No projects found',
+  'projects.emptyFiltered': 'No projects match the current filters.',
+  'projects.empty': 'There are no projects to show yet.',
+  'projects.loadMore': 'Show more',
+  'projects.loadMoreRemaining': 'Show more ({count} left)',
+  'projects.count': '{shown} of {total} projects',
+  'projects.archivedHidden': ' ({count} archived hidden)',
+  'projects.featured': 'Featured',
+
+  'metrics.release': 'Latest release',
+  'metrics.stars': 'Stars',
+  'metrics.forks': 'Forks',
+  'metrics.issues': 'Open issues',
+  'metrics.updated': 'Updated {time}',
+
+  'sort.relevance': 'Relevance',
+  'sort.manual': 'Manual order',
+  'sort.newest': 'Newest first',
+  'sort.oldest': 'Oldest first',
+  'sort.name': 'Name (A–Z)',
+  'sort.stars': 'Most stars',
+  'sort.updated': 'Recently updated',
+  'sort.status': 'Status',
+
+  'status.active': 'Active',
+  'status.wip': 'In progress',
+  'status.maintenance': 'Maintenance',
+  'status.archived': 'Archived',
+  'status.deprecated': 'Deprecated',
+
+  'detail.close': 'Close',
+  'detail.overview': 'Overview',
+  'detail.screenshots': 'Screenshots',
+  'detail.screenshotAlt': 'Screenshot of {name}',
+  'detail.technologies': 'Tech stack',
+  'detail.timeline': 'Timeline',
+  'detail.related': 'Related projects',
+  'detail.relatedShared': 'In common:',
+  'timeline.created': 'Project started',
+  'timeline.release': 'Released {tag}',
+  'timeline.updated': 'Last updated',
+
+  'editor.title': 'Project editor',
+  'editor.new': 'New',
+  'editor.export': 'Export projects.json',
+  'editor.reset': 'Reset local changes',
+  'editor.list': 'Projects (drag to reorder)',
+  'editor.save': 'Save',
+  'editor.delete': 'Delete',
+  'editor.preview': 'Preview',
+  'editor.moveUp': 'Move {name} up',
+  'editor.moveDown': 'Move {name} down',
+  'editor.untitled': '(untitled)',
+  'editor.saved': 'Saved "{name}"',
+  'editor.saveFailed': 'Could not save. Please check the highlighted fields.',
+  'editor.deleted': 'Deleted "{name}"',
+  'editor.resetDone': 'Local changes were reset',
+  'editor.exported': 'Downloaded projects.json. Replace data/projects.json with it and commit.',
+  'editor.confirmDiscard': 'Discard unsaved changes?',
+  'editor.confirmDelete': 'Delete "{name}"?',
+  'editor.confirmReset': 'Discard every change saved in this browser and go back to data/projects.json?',
+  'editor.field.name': 'Name',
+  'editor.field.id': 'ID',
+  'editor.field.description': 'Description',
+  'editor.field.github': 'GitHub URL',
+  'editor.field.demo': 'Demo URL',
+  'editor.field.language': 'Language',
+  'editor.field.technologies': 'Technologies',
+  'editor.field.icon': 'Icon',
+  'editor.field.status': 'Status',
+  'editor.field.color': 'Color',
+  'editor.field.createdAt': 'Created on',
+  'editor.field.featured': 'Show as featured',
+  'editor.field.details': 'Details (Markdown)',
+  'editor.hint.id': 'Generated from the name when left empty',
+  'editor.hint.technologies': 'Comma separated (e.g. JavaScript, HTML5)',
+  'editor.hint.icon': 'Font Awesome class (e.g. fab fa-js-square)',
+  'editor.hint.color': '#RRGGBB format',
+  'editor.error.required': 'Required fields (name, github) are missing',
+  'editor.error.duplicateId': 'ID "{id}" is already in use',
+  'editor.error.notFound': 'Project "{id}" was not found',
+
+  'validation.title': 'Project data: {errors} errors, {warnings} warnings',
+  'validation.dismiss': 'Dismiss',
+  'validation.root': '(root)',
+  'validation.hint': 'Run {command} for details.',
+
+  'languages.title': 'Languages',
+  'languages.loading': 'Loading language data...',
+  'languages.empty': 'Could not load language data.',
+  'languages.other': 'Other',
+  'languages.summary': 'Language share: {summary}',
+  'languages.meta': '{count} repositories · aggregated {time}',
+
+  'articles.title': 'Articles',
+  'articles.loading': 'Loading articles...',
+  'articles.empty': 'No articles yet. See {link} for more.',
+  'articles.likes': 'Likes',
+  'articles.pages': 'Article pages',
+  'articles.previous': 'Previous',
+  'articles.next': 'Next',
+
+  'activity.title': 'Activity',
+  'activity.loading': 'Loading activity...',
+  'activity.empty': 'No recent activity.',
+  'activity.push': 'Pushed {count} commits to {repo}',
+  'activity.pullRequest.opened': 'Opened pull request #{number} in {repo}: {title}',
+  'activity.pullRequest.merged': 'Merged pull request #{number} in {repo}: {title}',
+  'activity.pullRequest.closed': 'Closed pull request #{number} in {repo}: {title}',
+  'activity.issue.opened': 'Opened issue #{number} in {repo}: {title}',
+  'activity.issue.closed': 'Closed issue #{number} in {repo}: {title}',
+  'activity.issue.reopened': 'Reopened issue #{number} in {repo}: {title}',
+  'activity.release': 'Released {tag} of {repo}',
+  'activity.create': 'Created repository {repo}'
+});
@@ -0,0 +1,153 @@
+/**
+ * Japanese Messages
+ * Default catalog; other locales fall back to these messages
+ */
+
+LocaleManager.register('ja', {
+  'locale.name': '日本語',
+  'locale.switcher': '表示言語',
+
+  'site.description': 'minngk - SRE のポートフォリオサイト',
+  'profile.imageAlt': 'minngkのプロフィール画像',
+  'about.body': 'クリエイティブな気持ちを大事にしています',
+
+  'stats.repos': 'リポジトリ',
+  'stats.followers': 'フォロワー',
+  'stats.following': 'フォロー中',
+  'stats.asOf': '{date} 時点のデータ',
+
+  'theme.toggle': 'テーマを変更',
+
+  'app.offline': 'オフライン状態です',
+  'app.errorTitle': '読み込みエラー',
+  'app.errorBody': 'アプリケーションの初期化に失敗しました。ページを再読み込みしてください。',
+  'app.reload': '再読み込み',
+
+  'projects.title': 'プロジェクト',
+  'projects.search': 'プロジェクトを検索',
+  'projects.searchPlaceholder': 'プロジェクトを検索 (Ctrl+K)',
+  'projects.filterLanguage': '言語で絞り込み',
+  'projects.allLanguages': 'すべての言語',
+  'projects.filterStatus': 'ステータスで絞り込み',
+  'projects.allStatuses': 'すべてのステータス',
+  'projects.filterTechnology': '技術で絞り込み',
+  'projects.sort': '並び順',
+  'projects.featuredFirst': 'Featured を先頭に表示',
+  'projects.showArchived': 'アーカイブを表示',
+  'projects.reset': 'リセット',
+  'projects.loading': 'プロジェクトを読み込み中...',
+  'projects.emptyTitle': 'プロジェクトが見つかりません',
+  'projects.emptyFiltered': '条件に一致するプロジェクトがありません。',
+  'projects.empty': '現在表示できるプロジェクトがありません。',
+  'projects.loadMore': 'もっと見る',
+  'projects.loadMoreRemaining': 'もっと見る（残り {count} 件）',
+  'projects.count': '{shown} / {total} 件のプロジェクト',
+  'projects.archivedHidden': '（アーカイブ {count} 件を非表示）',
+  'projects.featured': 'Featured',
+
+  'metrics.release': '最新リリース',
+  'metrics.stars': 'スター',
+  'metrics.forks': 'フォーク',
+  'metrics.issues': '未解決の Issue',
+  'metrics.updated': '{time}に更新',
+
+  'sort.relevance': '関連度順',
+  'sort.manual': '手動の並び順',
+  'sort.newest': '新しい順',
+  'sort.oldest': '古い順',
+  'sort.name': '名前順 (A–Z)',
+  'sort.stars': 'スターが多い順',
+  'sort.updated': '最近更新された順',
+  'sort.status': 'ステータス順',
+
+  'status.active': '稼働中',
+  'status.wip': '開発中',
+  'status.maintenance': 'メンテナンス',
+  'status.archived': 'アーカイブ',
+  'status.deprecated': '非推奨',
+
+  'detail.close': '閉じる',
+  'detail.overview': '概要',
+  'detail.screenshots': 'スクリーンショット',
+  'detail.screenshotAlt': '{name} のスクリーンショット',
+  'detail.technologies': '技術スタック',
+  'detail.timeline': 'タイムライン',
+  'detail.related': '関連プロジェクト',
+  'detail.relatedShared': '共通点:',
+  'timeline.created': 'プロジェクト開始',
+  'timeline.release': '{tag} をリリース',
+  'timeline.updated': '最終更新',
+
+  'editor.title': 'プロジェクトエディター',
+  'editor.new': '新規',
+  'editor.export': 'projects.json をエクスポート',
+  'editor.reset': 'ローカルの変更をリセット',
+  'editor.list': 'プロジェクト（ドラッグで並べ替え）',
+  'editor.save': '保存',
+  'editor.delete': '削除',
+  'editor.preview': 'プレビュー',
+  'editor.moveUp': '{name} を上へ',
+  'editor.moveDown': '{name} を下へ',
+  'editor.untitled': '（名前未設定）',
+  'editor.saved': '「{name}」を保存しました',
+  'editor.saveFailed': '保存できませんでした。入力内容を確認してください。',
+  'editor.deleted': '「{name}」を削除しました',
+  'editor.resetDone': 'ローカルの変更をリセットしました',
+  'editor.exported': 'projects.json をダウンロードしました。data/projects.json を置き換えてコミットしてください。',
+  'editor.confirmDiscard': '保存していない変更を破棄しますか？',
+  'editor.confirmDelete': '「{name}」を削除しますか？',
+  'editor.confirmReset': 'このブラウザに保存された変更をすべて破棄して、data/projects.json の内容に戻しますか？',
+  'editor.field.name': '名前',
+  'editor.field.id': 'ID',
+  'editor.field.description': '説明',
+  'editor.field.github': 'GitHub URL',
+  'editor.field.demo': 'デモ URL',
+  'editor.field.language': '言語',
+  'editor.field.technologies': '技術',
+  'editor.field.icon': 'アイコン',
+  'editor.field.status': 'ステータス',
+  'editor.field.color': 'カラー',
+  'editor.field.createdAt': '作成日',
+  'editor.field.featured': 'Featured に表示',
+  'editor.field.details': '詳細（Markdown）',
+  'editor.hint.id': '空欄の場合は名前から生成します',
+  'editor.hint.technologies': 'カンマ区切り（例: JavaScript, HTML5）',
+  'editor.hint.icon': 'Font Awesome のクラス（例: fab fa-js-square）',
+  'editor.hint.color': '#RRGGBB 形式',
+  'editor.error.required': '必須フィールド（name, github）が不足しています',
+  'editor.error.duplicateId': 'ID "{id}" は既に使われています',
+  'editor.error.notFound': 'プロジェクト "{id}" が見つかりません',
+
+  'validation.title': 'プロジェクトデータ: エラー {errors} 件、警告 {warnings} 件',
+  'validation.dismiss': '閉じる',
+  'validation.root': '（ルート）',
+  'validation.hint': '詳細は {command} を実行して確認してください。',
+
+  'languages.title': '言語',
+  'languages.loading': '言語データを読み込み中...',
+  'languages.empty': '言語データを取得できませんでした。',
+  'languages.other': 'その他',
+  'languages.summary': '言語の割合: {summary}',
+  'languages.meta': '{count} リポジトリ ・ {time}に集計',
+
+  'articles.title': '記事',
+  'articles.loading': '記事を読み込み中...',
+  'articles.empty': '記事はまだありません。{link} をご覧ください。',
+  'articles.likes': 'いいね',
+  'articles.pages': '記事のページ',
+  'articles.previous': '前へ',
+  'articles.next': '次へ',
+
+  'activity.title': 'アクティビティ',
+  'activity.loading': 'アクティビティを読み込み中...',
+  'activity.empty': '最近のアクティビティはありません。',
+  'activity.push': '{repo} に {count} 件のコミットをプッシュ',
+  'activity.pullRequest.opened': '{repo} のプルリクエスト #{number} を作成: {title}',
+  'activity.pullRequest.merged': '{repo} のプルリクエスト #{number} をマージ: {title}',
+  'activity.pullRequest.closed': '{repo} のプルリクエスト #{number} をクローズ: {title}',
+  'activity.issue.opened': '{repo} の Issue #{number} を作成: {title}',
+  'activity.issue.closed': '{repo} の Issue #{number} をクローズ: {title}',
+  'activity.issue.reopened': '{repo} の Issue #{number} を再オープン: {title}',
+  'activity.release': '{repo} の {tag} をリリース',
+  'activity.create': 'リポジトリ {repo} を作成'
+});
@@ -7,8 +7,13 @@ class PortfolioApp {
   constructor() {
     this.components = {
       githubApi: null,
+      refreshScheduler: null,
       projectsManager: null,
-      themeManager: null
+      languageStats: null,
+      activityFeed: null,
+      articlesManager: null,
+      themeManager: null,
+      localeManager: null
     };
     this.isInitialized = false;
     this.observers = {};
@@ -65,8 +70,13 @@ class PortfolioApp {
     
     // Store references to global components
     this.components.githubApi = window.githubApi;
+    this.components.refreshScheduler = window.refreshScheduler;
     this.components.projectsManager = window.projectsManager;
+    this.components.languageStats = window.languageStats || null;
+    this.components.activityFeed = window.activityFeed || null;
+    this.components.articlesManager = window.articlesManager || null;
     this.components.themeManager = window.themeManager;
+    this.components.localeManager = window.localeManager;
   }
 
   /**
@@ -171,7 +181,7 @@ class PortfolioApp {
     });
 
     // Observe elements
-    document.querySelectorAll('.about-section, .projects-section').forEach(section => {
+    document.querySelectorAll('.about-section, .languages-section, .projects-section, .articles-section, .activity-section').forEach(section => {
       this.observers.sections.observe(section);
     });
 
@@ -184,7 +194,8 @@ class PortfolioApp {
    * Setup smooth scrolling for anchor links
    */
   setupSmoothScrolling() {
-    document.querySelectorAll('a[href^="#"]').forEach(link => {
+    // Route links like #/projects/:id are left to the router
+    document.querySelectorAll('a[href^="#"]:not([href^="#/"])').forEach(link => {
       link.addEventListener('click', (e) => {
         e.preventDefault();
         const targetId = link.getAttribute('href').slice(1);
@@ -281,6 +292,7 @@ class PortfolioApp {
       document.activeElement?.blur();
       document.querySelectorAll('.modal.active, .dropdown.active').forEach(el => {
         el.classList.remove('active');
+        el.dispatchEvent(new CustomEvent('close'));
       });
     }
   }
@@ -297,8 +309,8 @@ class PortfolioApp {
       this.resumeAnimations();
       
       // Refresh GitHub stats if it's been a while
-      if (this.components.githubApi) {
-        this.components.githubApi.updateStats();
+      if (this.components.refreshScheduler) {
+        this.components.refreshScheduler.requestRefresh();
       }
     }
   }
@@ -312,8 +324,8 @@ class PortfolioApp {
     if (isOnline) {
       console.log('Network connection restored');
       // Retry failed API calls
-      if (this.components.githubApi) {
-        this.components.githubApi.updateStats();
+      if (this.components.refreshScheduler) {
+        this.components.refreshScheduler.requestRefresh({ force: true });
       }
     } else {
       console.log('Network connection lost');
@@ -361,7 +373,7 @@ class PortfolioApp {
     notification.className = 'offline-notification';
     notification.innerHTML = `
       <i class="fas fa-wifi-slash"></i>
-      <span>オフライン状態です</span>
+      <span>${window.localeManager.t('app.offline')}</span>
     `;
     
     document.body.appendChild(notification);
@@ -389,9 +401,9 @@ class PortfolioApp {
     const errorMessage = document.createElement('div');
     errorMessage.className = 'init-error';
     errorMessage.innerHTML = `
-      <h3>読み込みエラー</h3>
-      <p>アプリケーションの初期化に失敗しました。ページを再読み込みしてください。</p>
-      <button onclick="location.reload()">再読み込み</button>
+      <h3>${window.localeManager.t('app.errorTitle')}</h3>
+      <p>${window.localeManager.t('app.errorBody')}</p>
+      <button onclick="location.reload()">${window.localeManager.t('app.reload')}</button>
     `;
     
     document.body.appendChild(errorMessage);
@@ -408,6 +420,7 @@ class PortfolioApp {
         return status;
       }, {}),
       theme: this.components.themeManager?.getCurrentTheme(),
+      githubRefresh: this.components.refreshScheduler?.getState() || null,
       online: navigator.onLine
     };
   }
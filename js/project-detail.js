@@ -0,0 +1,429 @@
+/**
+ * Project Detail View
+ * Shows a project in a modal, deep-linkable as #/projects/:id
+ */
+
+class ProjectDetailView {
+  constructor(projectsManager) {
+    this.projectsManager = projectsManager;
+    this.modal = document.getElementById('project-modal');
+    this.body = document.getElementById('project-modal-body');
+    this.currentProject = null;
+    this.detailsCache = {};
+    this.returnFocus = null;
+    this.scrollPosition = 0;
+    this.documentTitle = document.title;
+    // Routes opened on page load have no history entry of ours to go back to
+    this.canGoBack = false;
+    this.waitingForProjects = false;
+  }
+
+  /**
+   * Listen for route changes and open the route the page was loaded with
+   */
+  init() {
+    if (!this.modal || !this.body) {
+      return;
+    }
+
+    window.addEventListener('hashchange', () => {
+      this.canGoBack = true;
+      this.handleRoute();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target.closest('[data-modal-close]')) {
+        this.close();
+        return;
+      }
+      const related = e.target.closest('.related-project');
+      if (related) {
+        e.preventDefault();
+        this.showRelated(related.dataset.projectId);
+      }
+    });
+
+    // Escape is handled globally by PortfolioApp, which dispatches "close"
+    this.modal.addEventListener('close', () => {
+      this.handleClosed();
+    });
+
+    this.modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    });
+
+    // Topics arrive with the metrics and can change which projects are related
+    document.addEventListener('projectMetricsLoaded', () => {
+      if (this.currentProject) {
+        this.renderRelated(this.currentProject);
+      }
+    });
+
+    document.addEventListener('localeChanged', () => {
+      if (this.currentProject) {
+        this.open(this.projectsManager.getProject(this.currentProject.id) || this.currentProject);
+      }
+    });
+
+    this.handleRoute();
+  }
+
+  /**
+   * Get the project ID from the current hash, if it is a detail route
+   */
+  getRouteProjectId() {
+    const match = /^#\/projects\/([^/]+)$/.exec(window.location.hash);
+    if (!match) {
+      return null;
+    }
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Open or close the modal to match the current route
+   */
+  handleRoute() {
+    const projectId = this.getRouteProjectId();
+    if (!projectId) {
+      this.close();
+      return;
+    }
+
+    const project = this.projectsManager.getProject(projectId);
+    if (project) {
+      this.open(project);
+    } else if (!this.projectsManager.isLoaded || this.projectsManager.isSyncing) {
+      this.waitForProjects();
+    } else {
+      this.handleMissingProject(projectId);
+    }
+  }
+
+  /**
+   * Check the route again once projects are displayed, as they may still be
+   * loading or syncing from GitHub
+   */
+  waitForProjects() {
+    if (this.waitingForProjects) {
+      return;
+    }
+    this.waitingForProjects = true;
+    document.addEventListener('projectsDisplayed', () => {
+      this.waitingForProjects = false;
+      this.handleRoute();
+    }, { once: true });
+  }
+
+  /**
+   * Leave a route to a project that doesn't exist for the projects list
+   */
+  handleMissingProject(projectId) {
+    console.warn(`Project "${projectId}" not found`);
+    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}#projects`);
+    this.close();
+
+    const section = document.getElementById('projects');
+    if (section) {
+      section.scrollIntoView();
+    }
+  }
+
+  /**
+   * Show a project in the modal
+   */
+  async open(original) {
+    if (!this.currentProject) {
+      this.returnFocus = document.activeElement;
+      this.scrollPosition = window.scrollY;
+    }
+    this.currentProject = original;
+
+    // Shown in the current language; currentProject keeps the original for re-opening
+    const project = window.localeManager.localizeProject(original);
+    this.body.innerHTML = this.createDetailHTML(project);
+    this.renderRelated(original);
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('modal-open');
+    document.title = `${project.name} | ${this.documentTitle}`;
+    this.modal.querySelector('.modal-dialog').focus();
+
+    const details = await this.loadDetails(project);
+    if (details && this.currentProject === original) {
+      const container = this.body.querySelector('.project-detail-markdown');
+      if (container) {
+        container.innerHTML = PortfolioUtils.renderMarkdown(details);
+        container.closest('.project-detail-section').hidden = false;
+      }
+    }
+  }
+
+  /**
+   * Switch to a related project. The route is replaced rather than pushed,
+   * so closing still returns to where the detail view was opened from.
+   */
+  showRelated(projectId) {
+    const project = this.projectsManager.getProject(projectId);
+    if (!project) {
+      return;
+    }
+    history.replaceState(history.state, '', `#/projects/${encodeURIComponent(project.id)}`);
+    this.open(project);
+    this.modal.querySelector('.modal-dialog').scrollTop = 0;
+  }
+
+  /**
+   * Close the modal and leave the route
+   */
+  close() {
+    if (!this.currentProject) {
+      return;
+    }
+    this.modal.classList.remove('active');
+    this.handleClosed();
+  }
+
+  /**
+   * Clean up after the modal was closed, restoring focus and scroll position
+   */
+  handleClosed() {
+    if (!this.currentProject) {
+      return;
+    }
+
+    const project = this.currentProject;
+    this.currentProject = null;
+    this.modal.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('modal-open');
+    document.title = this.documentTitle;
+
+    if (this.getRouteProjectId()) {
+      if (this.canGoBack) {
+        history.back();
+      } else {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+      }
+    }
+
+    // Deep-linked views have no trigger, so fall back to the project's card
+    let target = this.returnFocus;
+    if (!target || target === document.body || !document.contains(target)) {
+      const card = [...document.querySelectorAll('.project-card')]
+        .find(element => element.dataset.projectId === project.id);
+      target = card && card.querySelector('.project-detail-link');
+    }
+    if (target) {
+      target.focus({ preventScroll: true });
+    }
+    window.scrollTo(0, this.scrollPosition);
+    this.returnFocus = null;
+  }
+
+  /**
+   * Keep keyboard focus inside the modal
+   */
+  trapFocus(e) {
+    const focusable = [...this.modal.querySelectorAll('a[href], button, [tabindex]:not([tabindex="-1"])')]
+      .filter(element => !element.disabled && !element.closest('[hidden]'));
+    if (focusable.length === 0) {
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !this.modal.contains(document.activeElement) ||
+        document.activeElement === this.modal.querySelector('.modal-dialog'))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Load the Markdown description, from the project or a per-project file
+   */
+  async loadDetails(project) {
+    if (project.details) {
+      return project.details;
+    }
+    const detailsUrl = PortfolioUtils.safeUrl(project.detailsFile, { allowRelative: true });
+    if (!detailsUrl) {
+      return null;
+    }
+    if (this.detailsCache[project.detailsFile] === undefined) {
+      try {
+        const response = await fetch(detailsUrl);
+        if (!response.ok) {
+          throw new Error(`Failed to load details: ${response.status}`);
+        }
+        this.detailsCache[project.detailsFile] = await response.text();
+      } catch (error) {
+        console.warn(`Failed to load details for ${project.id}:`, error);
+        this.detailsCache[project.detailsFile] = null;
+      }
+    }
+    return this.detailsCache[project.detailsFile];
+  }
+
+  /**
+   * Build timeline entries from project dates, custom entries and the latest release
+   */
+  getTimeline(project) {
+    const i18n = window.localeManager;
+    const metrics = this.projectsManager.metrics[project.id];
+    const entries = [...(project.timeline || [])];
+
+    if (project.createdAt) {
+      entries.push({ date: project.createdAt, title: i18n.t('timeline.created') });
+    }
+    if (metrics && metrics.release && metrics.release.published_at) {
+      entries.push({ date: metrics.release.published_at, title: i18n.t('timeline.release', { tag: metrics.release.tag_name }) });
+    }
+    const updatedAt = project.updatedAt || (metrics && metrics.updatedAt);
+    if (updatedAt) {
+      entries.push({ date: updatedAt, title: i18n.t('timeline.updated') });
+    }
+
+    return entries
+      .filter(entry => entry.date && !Number.isNaN(new Date(entry.date).getTime()))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Create the modal content
+   */
+  createDetailHTML(project) {
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const manager = this.projectsManager;
+    const metrics = manager.metrics[project.id];
+    const githubUrl = PortfolioUtils.safeUrl(project.github);
+    const demoUrl = PortfolioUtils.safeUrl(project.demo);
+    const icon = PortfolioUtils.safeIconClass(project.icon) || manager.getLanguageIcon(project.language);
+    const statusBadge = manager.createStatusBadge(project.status);
+
+    const links = [
+      githubUrl ? `<a href="${escape(githubUrl)}" target="_blank" rel="noopener noreferrer" class="project-link primary">
+        <i class="fab fa-github" aria-hidden="true"></i>
+        GitHub
+      </a>` : '',
+      demoUrl ? `<a href="${escape(demoUrl)}" target="_blank" rel="noopener noreferrer" class="project-link secondary">
+        <i class="fas fa-external-link-alt" aria-hidden="true"></i>
+        Demo
+      </a>` : ''
+    ].join('');
+
+    const screenshots = (project.screenshots || [])
+      .map(screenshot => (typeof screenshot === 'string' ? { src: screenshot, alt: '' } : screenshot))
+      .filter(screenshot => screenshot && PortfolioUtils.safeUrl(screenshot.src, { allowRelative: true }))
+      .map(screenshot => `
+        <figure class="project-screenshot">
+          <img src="${escape(screenshot.src)}" alt="${escape(screenshot.alt || i18n.t('detail.screenshotAlt', { name: project.name }))}" loading="lazy">
+          ${screenshot.caption ? `<figcaption>${escape(screenshot.caption)}</figcaption>` : ''}
+        </figure>
+      `).join('');
+
+    const technologies = (project.technologies || []).map(tech =>
+      `<span class="tech-tag">${escape(tech)}</span>`
+    ).join('');
+
+    const timeline = this.getTimeline(project).map(entry => `
+      <li>
+        <time datetime="${escape(entry.date)}">${escape(i18n.formatDate(entry.date))}</time>
+        <span>${escape(entry.title)}</span>
+      </li>
+    `).join('');
+
+    return `
+      <header class="project-detail-header">
+        <i class="${icon} project-icon" aria-hidden="true"></i>
+        <div>
+          ${statusBadge ? statusBadge.outerHTML : ''}
+          <h2 class="project-detail-title" id="project-modal-title">${escape(project.name)}</h2>
+          <p class="project-detail-summary">${escape(project.description)}</p>
+        </div>
+      </header>
+      ${metrics ? `<div class="project-metrics">${manager.createMetricsHTML(metrics)}</div>` : ''}
+      <div class="project-links">${links}</div>
+      <section class="project-detail-section" ${project.details || project.detailsFile ? '' : 'hidden'}>
+        <h3>${escape(i18n.t('detail.overview'))}</h3>
+        <div class="project-detail-markdown">${project.details ? PortfolioUtils.renderMarkdown(project.details) : ''}</div>
+      </section>
+      ${screenshots ? `
+      <section class="project-detail-section">
+        <h3>${escape(i18n.t('detail.screenshots'))}</h3>
+        <div class="project-screenshots">${screenshots}</div>
+      </section>` : ''}
+      <section class="project-detail-section">
+        <h3>${escape(i18n.t('detail.technologies'))}</h3>
+        <div class="project-technologies">${technologies}</div>
+      </section>
+      ${timeline ? `
+      <section class="project-detail-section">
+        <h3>${escape(i18n.t('detail.timeline'))}</h3>
+        <ol class="project-timeline">${timeline}</ol>
+      </section>` : ''}
+      <section class="project-detail-section project-related" hidden>
+        <h3>${escape(i18n.t('detail.related'))}</h3>
+        <ul class="related-projects"></ul>
+      </section>
+    `;
+  }
+
+  /**
+   * Fill the related projects section, hiding it when nothing is related
+   */
+  renderRelated(project) {
+    const section = this.body.querySelector('.project-related');
+    if (!section) {
+      return;
+    }
+
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const manager = this.projectsManager;
+    const related = manager.getRelatedProjects(project);
+
+    section.querySelector('.related-projects').innerHTML = related.map(({ project: other, shared }) => {
+      const localized = i18n.localizeProject(other);
+      const icon = PortfolioUtils.safeIconClass(other.icon) || manager.getLanguageIcon(other.language);
+      return `
+        <li>
+          <a href="#/projects/${encodeURIComponent(other.id)}" class="related-project" data-project-id="${escape(other.id)}">
+            <i class="${icon} project-icon" aria-hidden="true"></i>
+            <span class="related-project-body">
+              <span class="related-project-name">${escape(localized.name)}</span>
+              <span class="related-project-shared">
+                <span class="sr-only">${escape(i18n.t('detail.relatedShared'))}</span>
+                ${shared.map(label => `<span class="tech-tag">${escape(label)}</span>`).join('')}
+              </span>
+            </span>
+          </a>
+        </li>
+      `;
+    }).join('');
+    section.hidden = related.length === 0;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const projectDetailView = new ProjectDetailView(window.projectsManager);
+  projectDetailView.init();
+
+  // Make detail view globally available
+  window.projectDetailView = projectDetailView;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectDetailView;
+}
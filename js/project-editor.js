@@ -0,0 +1,566 @@
+/**
+ * Project Editor
+ * Owner-only editor for data/projects.json, opened with the hidden #/editor route
+ *
+ * Changes are applied through ProjectsManager (and so saved to localStorage);
+ * "Export" downloads a projects.json to commit to the repository.
+ */
+
+class ProjectEditor {
+  constructor(projectsManager) {
+    this.projectsManager = projectsManager;
+    this.modal = document.getElementById('project-editor');
+    this.body = document.getElementById('project-editor-body');
+    this.isOpen = false;
+    this.selectedId = null;
+    this.dirty = false;
+    this.dragId = null;
+    this.returnFocus = null;
+    this.canGoBack = false;
+  }
+
+  /**
+   * Listen for the editor route
+   */
+  init() {
+    if (!this.modal || !this.body) {
+      return;
+    }
+
+    window.addEventListener('hashchange', () => {
+      this.canGoBack = true;
+      this.handleRoute();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target.closest('[data-modal-close]')) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('localeChanged', () => {
+      if (this.isOpen) {
+        this.rerender();
+      }
+    });
+
+    // Escape is handled globally by PortfolioApp, which dispatches "close"
+    this.modal.addEventListener('close', () => {
+      if (!this.confirmDiscard()) {
+        this.modal.classList.add('active');
+        return;
+      }
+      this.handleClosed();
+    });
+
+    this.handleRoute();
+  }
+
+  /**
+   * Open or close the editor to match the current route
+   */
+  handleRoute() {
+    if (window.location.hash !== '#/editor') {
+      if (this.isOpen) {
+        this.dirty = false;
+        this.modal.classList.remove('active');
+        this.handleClosed();
+      }
+      return;
+    }
+
+    if (!this.projectsManager.isLoaded) {
+      document.addEventListener('projectsDisplayed', () => this.handleRoute(), { once: true });
+      return;
+    }
+
+    this.open();
+  }
+
+  /**
+   * Show the editor
+   */
+  open() {
+    if (!this.isOpen) {
+      this.returnFocus = document.activeElement;
+    }
+    this.isOpen = true;
+    this.render();
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('modal-open');
+    this.modal.querySelector('.modal-dialog').focus();
+  }
+
+  /**
+   * Close the editor, asking first if there are unsaved changes
+   */
+  close() {
+    if (!this.isOpen || !this.confirmDiscard()) {
+      return;
+    }
+    this.modal.classList.remove('active');
+    this.handleClosed();
+  }
+
+  /**
+   * Clean up after the editor was closed and leave the route
+   */
+  handleClosed() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.dirty = false;
+    this.modal.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('modal-open');
+
+    if (window.location.hash === '#/editor') {
+      if (this.canGoBack) {
+        history.back();
+      } else {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+      }
+    }
+
+    if (this.returnFocus && document.contains(this.returnFocus)) {
+      this.returnFocus.focus({ preventScroll: true });
+    }
+    this.returnFocus = null;
+  }
+
+  /**
+   * Ask before throwing away unsaved form changes
+   */
+  confirmDiscard() {
+    return !this.dirty || window.confirm(window.localeManager.t('editor.confirmDiscard'));
+  }
+
+  /**
+   * Render the editor layout: project list, form and preview
+   */
+  render() {
+    const escape = PortfolioUtils.escapeHtml;
+    const t = (key, params) => escape(window.localeManager.t(key, params));
+
+    this.body.innerHTML = `
+      <div class="editor-header">
+        <h2 id="project-editor-title">${t('editor.title')}</h2>
+        <div class="editor-actions">
+          <button type="button" class="btn secondary" data-action="new">
+            <i class="fas fa-plus" aria-hidden="true"></i>
+            ${t('editor.new')}
+          </button>
+          <button type="button" class="btn" data-action="export">
+            <i class="fas fa-download" aria-hidden="true"></i>
+            ${t('editor.export')}
+          </button>
+          <button type="button" class="btn secondary" data-action="reset">
+            <i class="fas fa-rotate-left" aria-hidden="true"></i>
+            ${t('editor.reset')}
+          </button>
+        </div>
+      </div>
+      <p class="editor-status" aria-live="polite"></p>
+      <div class="editor-layout">
+        <ol class="editor-list" aria-label="${t('editor.list')}"></ol>
+        <form class="editor-form" novalidate>
+          ${ProjectEditor.FIELDS.map(field => this.createFieldHTML(field)).join('')}
+          <div class="editor-form-actions">
+            <button type="submit" class="btn">
+              <i class="fas fa-save" aria-hidden="true"></i>
+              ${t('editor.save')}
+            </button>
+            <button type="button" class="btn secondary" data-action="delete">
+              <i class="fas fa-trash" aria-hidden="true"></i>
+              ${t('editor.delete')}
+            </button>
+          </div>
+        </form>
+        <div class="editor-preview" aria-label="${t('editor.preview')}" inert></div>
+      </div>
+    `;
+
+    this.body.querySelector('[data-action="new"]').addEventListener('click', () => this.select(null));
+    this.body.querySelector('[data-action="export"]').addEventListener('click', () => this.exportProjects());
+    this.body.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSelected());
+    this.body.querySelector('[data-action="reset"]').addEventListener('click', () => this.resetLocalChanges());
+
+    const form = this.body.querySelector('.editor-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    form.addEventListener('input', () => {
+      this.dirty = true;
+      this.renderPreview();
+    });
+
+    const list = this.body.querySelector('.editor-list');
+    this.bindDragAndDrop(list);
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      const item = e.target.closest('.editor-list-item');
+      if (!button || !item) return;
+
+      if (button.dataset.move) {
+        this.move(item.dataset.projectId, parseInt(button.dataset.move, 10));
+      } else if (this.confirmDiscard()) {
+        this.select(item.dataset.projectId);
+      }
+    });
+
+    const projects = this.projectsManager.projects;
+    this.select(this.projectsManager.getProject(this.selectedId) ? this.selectedId : (projects[0] ? projects[0].id : null));
+  }
+
+  /**
+   * Re-render in the current language, keeping the form as the user left it
+   */
+  rerender() {
+    const form = this.body.querySelector('.editor-form');
+    const values = ProjectEditor.FIELDS.map(field => {
+      const input = form.elements[field.name];
+      return field.type === 'checkbox' ? input.checked : input.value;
+    });
+    const dirty = this.dirty;
+
+    this.render();
+
+    const newForm = this.body.querySelector('.editor-form');
+    ProjectEditor.FIELDS.forEach((field, index) => {
+      const input = newForm.elements[field.name];
+      if (field.type === 'checkbox') {
+        input.checked = values[index];
+      } else {
+        input.value = values[index];
+      }
+    });
+    this.dirty = dirty;
+    this.renderPreview();
+  }
+
+  /**
+   * Create the HTML for a form field (labels come from the catalogs, values are set via DOM properties)
+   */
+  createFieldHTML(field) {
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const id = `editor-${field.name}`;
+    const label = escape(i18n.t(field.label));
+    const hint = field.hint ? `<small class="editor-hint" id="${id}-hint">${escape(i18n.t(field.hint))}</small>` : '';
+    const describedBy = `${field.hint ? `${id}-hint ` : ''}${id}-error`;
+    let control;
+
+    if (field.type === 'textarea') {
+      control = `<textarea id="${id}" name="${field.name}" rows="${field.rows || 3}" aria-describedby="${describedBy}"></textarea>`;
+    } else if (field.type === 'select') {
+      control = `<select id="${id}" name="${field.name}" aria-describedby="${describedBy}">
+        ${field.options.map(option => `<option value="${option}">${escape(field.optionLabels ? i18n.t(field.optionLabels[option]) : option)}</option>`).join('')}
+      </select>`;
+    } else if (field.type === 'checkbox') {
+      return `
+        <div class="editor-field editor-field-checkbox">
+          <label><input type="checkbox" id="${id}" name="${field.name}" aria-describedby="${describedBy}"> ${label}</label>
+          <p class="editor-error" id="${id}-error"></p>
+        </div>
+      `;
+    } else {
+      control = `<input type="${field.type || 'text'}" id="${id}" name="${field.name}" autocomplete="off" aria-describedby="${describedBy}">`;
+    }
+
+    return `
+      <div class="editor-field">
+        <label for="${id}">${label}${field.required ? ' <span aria-hidden="true">*</span>' : ''}</label>
+        ${control}
+        ${hint}
+        <p class="editor-error" id="${id}-error"></p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the project list
+   */
+  renderList() {
+    const el = PortfolioUtils.createElement;
+    const i18n = window.localeManager;
+    const list = this.body.querySelector('.editor-list');
+    const projects = this.projectsManager.projects;
+
+    list.replaceChildren(...projects.map((project, index) => el('li', {
+      className: `editor-list-item${project.id === this.selectedId ? ' selected' : ''}`,
+      draggable: 'true',
+      'data-project-id': project.id
+    }, [
+      el('i', { className: 'fas fa-grip-vertical editor-drag-handle', 'aria-hidden': 'true' }),
+      el('button', { type: 'button', className: 'editor-list-name', 'aria-current': project.id === this.selectedId ? 'true' : null }, [
+        String(project.name),
+        project.source === 'github' ? el('span', { className: 'editor-list-badge' }, ['GitHub']) : null
+      ]),
+      el('button', { type: 'button', className: 'editor-move', 'data-move': '-1', 'aria-label': i18n.t('editor.moveUp', { name: project.name }), disabled: index === 0 }, [
+        el('i', { className: 'fas fa-arrow-up', 'aria-hidden': 'true' })
+      ]),
+      el('button', { type: 'button', className: 'editor-move', 'data-move': '1', 'aria-label': i18n.t('editor.moveDown', { name: project.name }), disabled: index === projects.length - 1 }, [
+        el('i', { className: 'fas fa-arrow-down', 'aria-hidden': 'true' })
+      ])
+    ])));
+  }
+
+  /**
+   * Select a project for editing, or start a new one when id is null
+   */
+  select(id) {
+    const project = id ? this.projectsManager.getProject(id) : null;
+    this.selectedId = project ? project.id : null;
+    this.dirty = false;
+
+    const form = this.body.querySelector('.editor-form');
+    ProjectEditor.FIELDS.forEach(field => {
+      const input = form.elements[field.name];
+      const value = project ? project[field.name] : field.default;
+      if (field.type === 'checkbox') {
+        input.checked = !!value;
+      } else if (field.name === 'technologies') {
+        input.value = (value || []).join(', ');
+      } else if (field.type === 'date') {
+        input.value = value ? String(value).slice(0, 10) : '';
+      } else {
+        input.value = value === undefined || value === null ? '' : value;
+      }
+    });
+
+    form.querySelector('[data-action="delete"]').disabled = !project;
+    this.showErrors([]);
+    this.renderList();
+    this.renderPreview();
+  }
+
+  /**
+   * Read the form into a project object
+   */
+  readForm() {
+    const form = this.body.querySelector('.editor-form');
+    const project = {};
+
+    ProjectEditor.FIELDS.forEach(field => {
+      const input = form.elements[field.name];
+      if (field.type === 'checkbox') {
+        project[field.name] = input.checked;
+      } else if (field.name === 'technologies') {
+        project.technologies = input.value.split(',').map(tech => tech.trim()).filter(Boolean);
+      } else if (input.value.trim()) {
+        project[field.name] = input.value.trim();
+      } else {
+        // Empty fields clear the value when updating
+        project[field.name] = undefined;
+      }
+    });
+
+    return project;
+  }
+
+  /**
+   * Render the card preview with createProjectCard
+   */
+  renderPreview() {
+    const preview = this.body.querySelector('.editor-preview');
+    const draft = {
+      ...(this.selectedId ? this.projectsManager.getProject(this.selectedId) : {}),
+      ...this.readForm()
+    };
+    draft.id = draft.id || 'preview';
+    draft.name = draft.name || window.localeManager.t('editor.untitled');
+    preview.replaceChildren(this.projectsManager.createProjectCard(draft));
+  }
+
+  /**
+   * Save the form as a new or updated project
+   */
+  save() {
+    const data = this.readForm();
+    if (this.selectedId && !data.id) {
+      data.id = this.selectedId;
+    }
+
+    try {
+      const project = this.selectedId ?
+        this.projectsManager.updateProject(this.selectedId, data) :
+        this.projectsManager.addProject(data);
+      this.setStatus(window.localeManager.t('editor.saved', { name: project.name }));
+      this.select(project.id);
+    } catch (error) {
+      this.setStatus(window.localeManager.t('editor.saveFailed'));
+      this.showErrors(error.issues || [{ path: '', message: error.message }]);
+    }
+  }
+
+  /**
+   * Delete the selected project after confirmation
+   */
+  deleteSelected() {
+    const project = this.projectsManager.getProject(this.selectedId);
+    if (!project || !window.confirm(window.localeManager.t('editor.confirmDelete', { name: project.name }))) {
+      return;
+    }
+
+    this.projectsManager.deleteProject(project.id);
+    this.setStatus(window.localeManager.t('editor.deleted', { name: project.name }));
+    const first = this.projectsManager.projects[0];
+    this.select(first ? first.id : null);
+  }
+
+  /**
+   * Move a project up or down by one position
+   */
+  move(id, offset) {
+    const ids = this.projectsManager.projects.map(project => project.id);
+    const index = ids.indexOf(id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= ids.length) {
+      return;
+    }
+
+    ids.splice(target, 0, ids.splice(index, 1)[0]);
+    this.projectsManager.reorderProjects(ids);
+    this.renderList();
+
+    const button = this.body.querySelector(`.editor-list-item:nth-child(${target + 1}) [data-move="${offset}"]`);
+    if (button && !button.disabled) {
+      button.focus();
+    }
+  }
+
+  /**
+   * Drag-to-reorder for the project list
+   */
+  bindDragAndDrop(list) {
+    list.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.editor-list-item');
+      if (!item) return;
+      this.dragId = item.dataset.projectId;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.dragId);
+    });
+
+    list.addEventListener('dragover', (e) => {
+      if (!this.dragId) return;
+      e.preventDefault();
+      const dragging = list.querySelector('.dragging');
+      const over = e.target.closest('.editor-list-item');
+      if (!dragging || !over || over === dragging) return;
+
+      const rect = over.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      list.insertBefore(dragging, after ? over.nextSibling : over);
+    });
+
+    list.addEventListener('drop', (e) => {
+      e.preventDefault();
+    });
+
+    list.addEventListener('dragend', () => {
+      if (!this.dragId) return;
+      this.dragId = null;
+      const ids = [...list.querySelectorAll('.editor-list-item')].map(item => item.dataset.projectId);
+      this.projectsManager.reorderProjects(ids);
+      this.renderList();
+    });
+  }
+
+  /**
+   * Show validation issues next to their fields
+   */
+  showErrors(issues) {
+    const form = this.body.querySelector('.editor-form');
+    form.querySelectorAll('.editor-error').forEach(element => {
+      element.textContent = '';
+    });
+    form.querySelectorAll('[aria-invalid]').forEach(element => element.removeAttribute('aria-invalid'));
+
+    issues.forEach(issue => {
+      const match = /^project\[0\]\.(\w+)/.exec(issue.path || '');
+      const name = match && ProjectEditor.FIELDS.some(field => field.name === match[1]) ? match[1] : null;
+      // Issues without a field of their own are shown in the status line
+      const error = name ? form.querySelector(`#editor-${name}-error`) : this.body.querySelector('.editor-status');
+      if (name) {
+        form.elements[name].setAttribute('aria-invalid', 'true');
+      }
+      error.textContent = error.textContent ? `${error.textContent} ${issue.message}` : issue.message;
+    });
+
+    const firstInvalid = form.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+  }
+
+  /**
+   * Show a status message
+   */
+  setStatus(message) {
+    this.body.querySelector('.editor-status').textContent = message;
+  }
+
+  /**
+   * Discard every change saved in this browser after confirmation
+   */
+  async resetLocalChanges() {
+    if (!window.confirm(window.localeManager.t('editor.confirmReset'))) {
+      return;
+    }
+
+    await this.projectsManager.resetLocalChanges();
+    this.selectedId = null;
+    this.render();
+    this.setStatus(window.localeManager.t('editor.resetDone'));
+  }
+
+  /**
+   * Download the current projects as a ready-to-commit projects.json
+   */
+  exportProjects() {
+    const json = `${JSON.stringify(this.projectsManager.exportData(), null, 2)}\n`;
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = PortfolioUtils.createElement('a', { href: url, download: 'projects.json' });
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    this.setStatus(window.localeManager.t('editor.exported'));
+  }
+}
+
+// Form fields; label and hint are message keys
+ProjectEditor.FIELDS = [
+  { name: 'name', label: 'editor.field.name', required: true },
+  { name: 'id', label: 'editor.field.id', hint: 'editor.hint.id' },
+  { name: 'description', label: 'editor.field.description', type: 'textarea' },
+  { name: 'github', label: 'editor.field.github', type: 'url', required: true },
+  { name: 'demo', label: 'editor.field.demo', type: 'url' },
+  { name: 'language', label: 'editor.field.language' },
+  { name: 'technologies', label: 'editor.field.technologies', hint: 'editor.hint.technologies' },
+  { name: 'icon', label: 'editor.field.icon', hint: 'editor.hint.icon' },
+  { name: 'status', label: 'editor.field.status', type: 'select', options: ProjectSchema.STATUSES, optionLabels: ProjectsManager.STATUS_LABELS, default: 'active' },
+  { name: 'color', label: 'editor.field.color', hint: 'editor.hint.color' },
+  { name: 'createdAt', label: 'editor.field.createdAt', type: 'date' },
+  { name: 'featured', label: 'editor.field.featured', type: 'checkbox' },
+  { name: 'details', label: 'editor.field.details', type: 'textarea', rows: 6 }
+];
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const projectEditor = new ProjectEditor(window.projectsManager);
+  projectEditor.init();
+
+  // Make editor globally available
+  window.projectEditor = projectEditor;
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectEditor;
+}
@@ -0,0 +1,355 @@
+/**
+ * Project Data Schema
+ * Declares the shape of data/projects.json and validates it
+ *
+ * Runs in the browser and in Node (scripts/validate-projects.js). Invalid
+ * optional fields are dropped or replaced with their default and reported
+ * as warnings; projects missing required fields are skipped and reported
+ * as errors, so one bad entry never breaks the whole list.
+ */
+
+class ProjectSchema {
+  /**
+   * Validate a whole projects.json document
+   * Returns { data, issues } where issues are { path, message, severity }
+   */
+  static validate(document) {
+    const issues = [];
+
+    if (!ProjectSchema.isObject(document)) {
+      issues.push({ path: '', message: 'must be a JSON object', severity: 'error' });
+      return { data: { projects: [], settings: {}, theme: {}, site: {} }, issues };
+    }
+
+    const data = {
+      ...document,
+      projects: ProjectSchema.validateProjects(document.projects, 'projects', issues),
+      settings: ProjectSchema.validateObject(document.settings || {}, ProjectSchema.SETTINGS, 'settings', issues),
+      theme: ProjectSchema.validateObject(document.theme || {}, ProjectSchema.THEME, 'theme', issues),
+      site: ProjectSchema.validateObject(document.site || {}, ProjectSchema.SITE, 'site', issues)
+    };
+
+    return { data, issues };
+  }
+
+  /**
+   * Validate a list of projects, skipping invalid entries and duplicate IDs
+   */
+  static validateProjects(projects, path = 'projects', issues = []) {
+    if (!Array.isArray(projects)) {
+      issues.push({ path, message: 'must be an array', severity: 'error' });
+      return [];
+    }
+
+    const ids = new Set();
+    return projects.reduce((valid, project, index) => {
+      const projectPath = `${path}[${index}]`;
+      if (!ProjectSchema.isObject(project)) {
+        issues.push({ path: projectPath, message: 'must be an object; entry skipped', severity: 'error' });
+        return valid;
+      }
+
+      // Derive a missing ID from the name, as addProject does
+      const candidate = { ...project };
+      if (!candidate.id && typeof candidate.name === 'string' && candidate.name.trim()) {
+        candidate.id = PortfolioUtils.slugify(candidate.name);
+        issues.push({ path: `${projectPath}.id`, message: `missing; using "${candidate.id}"`, severity: 'warning' });
+      }
+
+      const fieldIssues = [];
+      const result = ProjectSchema.validateObject(candidate, ProjectSchema.PROJECT, projectPath, fieldIssues);
+      issues.push(...fieldIssues);
+
+      if (fieldIssues.some(issue => issue.severity === 'error')) {
+        issues.push({ path: projectPath, message: 'entry skipped', severity: 'error' });
+        return valid;
+      }
+      if (ids.has(result.id)) {
+        issues.push({ path: `${projectPath}.id`, message: `duplicate ID "${result.id}"; entry skipped`, severity: 'error' });
+        return valid;
+      }
+
+      ids.add(result.id);
+      valid.push(result);
+      return valid;
+    }, []);
+  }
+
+  /**
+   * Validate an object against a field map. Unknown fields are kept.
+   */
+  static validateObject(value, fields, path, issues) {
+    if (!ProjectSchema.isObject(value)) {
+      issues.push({ path, message: 'must be an object; using defaults', severity: 'warning' });
+      value = {};
+    }
+
+    const result = { ...value };
+    Object.entries(fields).forEach(([key, rule]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      const fieldValue = value[key];
+
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        if (rule.required) {
+          issues.push({ path: fieldPath, message: 'is required', severity: 'error' });
+        }
+        if (rule.default !== undefined) {
+          result[key] = ProjectSchema.clone(rule.default);
+        } else if (fieldValue === '') {
+          delete result[key];
+        }
+        return;
+      }
+
+      const error = ProjectSchema.checkValue(fieldValue, rule);
+      if (error === null) {
+        if (rule.type === 'object' && rule.values) {
+          result[key] = ProjectSchema.validateValues(fieldValue, rule, fieldPath, issues);
+        } else if (rule.type === 'object') {
+          result[key] = ProjectSchema.validateObject(fieldValue, rule.fields, fieldPath, issues);
+        } else if (rule.type === 'array') {
+          result[key] = ProjectSchema.validateItems(fieldValue, rule.items, fieldPath, issues);
+        }
+        return;
+      }
+
+      if (rule.required) {
+        issues.push({ path: fieldPath, message: error, severity: 'error' });
+      } else if (rule.default !== undefined) {
+        issues.push({ path: fieldPath, message: `${error}; using default ${JSON.stringify(rule.default)}`, severity: 'warning' });
+        result[key] = ProjectSchema.clone(rule.default);
+      } else {
+        issues.push({ path: fieldPath, message: `${error}; field ignored`, severity: 'warning' });
+        delete result[key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate array items, dropping the invalid ones
+   */
+  static validateItems(items, rule, path, issues) {
+    return items.reduce((valid, item, index) => {
+      const itemPath = `${path}[${index}]`;
+      // Some items accept either a plain string or an object, e.g. screenshots
+      const itemRule = rule.or && ProjectSchema.isObject(item) ? rule.or : rule;
+      const error = ProjectSchema.checkValue(item, itemRule);
+      if (error !== null) {
+        issues.push({ path: itemPath, message: `${error}; item ignored`, severity: 'warning' });
+        return valid;
+      }
+
+      if (itemRule.type === 'object') {
+        const itemIssues = [];
+        const result = ProjectSchema.validateObject(item, itemRule.fields, itemPath, itemIssues);
+        if (itemIssues.some(issue => issue.severity === 'error')) {
+          issues.push(...itemIssues.map(issue => ({ ...issue, severity: 'warning' })));
+          issues.push({ path: itemPath, message: 'item ignored', severity: 'warning' });
+          return valid;
+        }
+        issues.push(...itemIssues);
+        valid.push(result);
+      } else {
+        valid.push(item);
+      }
+      return valid;
+    }, []);
+  }
+
+  /**
+   * Validate the values of a map with arbitrary keys, e.g. translations per locale.
+   * Entries with an invalid key or value are dropped.
+   */
+  static validateValues(map, rule, path, issues) {
+    return Object.entries(map).reduce((valid, [key, value]) => {
+      const valuePath = `${path}.${key}`;
+      if (rule.keys && !rule.keys.test(key)) {
+        issues.push({ path: valuePath, message: `key does not match ${rule.keys}; entry ignored`, severity: 'warning' });
+        return valid;
+      }
+      const error = ProjectSchema.checkValue(value, rule.values);
+      if (error !== null) {
+        issues.push({ path: valuePath, message: `${error}; entry ignored`, severity: 'warning' });
+        return valid;
+      }
+      valid[key] = rule.values.type === 'object' ?
+        ProjectSchema.validateObject(value, rule.values.fields, valuePath, issues) : value;
+      return valid;
+    }, {});
+  }
+
+  /**
+   * Check a single value; returns an error message or null
+   */
+  static checkValue(value, rule) {
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string') return `must be a string, got ${ProjectSchema.typeOf(value)}`;
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return `must be true or false, got ${ProjectSchema.typeOf(value)}`;
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return `must be an integer, got ${JSON.stringify(value)}`;
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+        break;
+      case 'date':
+        if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+          return `must be a date like "2025-01-31", got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/[^\s]+$/i.test(value)) {
+          return `must be an http(s) URL, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'path':
+        if (typeof value !== 'string' || !(/^https:\/\/[^\s]+$/i.test(value) || /^(\.{0,2}\/)?[\w.-]+(\/[\w.-]+)*$/.test(value))) {
+          return `must be a relative path or https URL, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'color':
+        if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+          return `must be a hex color like "#336699", got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(value)) return `must be an array, got ${ProjectSchema.typeOf(value)}`;
+        break;
+      case 'object':
+        if (!ProjectSchema.isObject(value)) return `must be an object, got ${ProjectSchema.typeOf(value)}`;
+        break;
+      default:
+        break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `must be one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return `does not match ${rule.pattern}, got ${JSON.stringify(value)}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be at least ${rule.min}, got ${value}`;
+    }
+    return null;
+  }
+
+  /**
+   * Format an issue for logs and the CLI
+   */
+  static formatIssue(issue) {
+    return `${issue.severity === 'error' ? 'error' : 'warning'}  ${issue.path || '(root)'}: ${issue.message}`;
+  }
+
+  /**
+   * Plain object check (arrays and null excluded)
+   */
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Type name for messages, telling null and arrays apart from objects
+   */
+  static typeOf(value) {
+    return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Deep copy of default values so projects don't share them
+   */
+  static clone(value) {
+    return Array.isArray(value) || ProjectSchema.isObject(value) ? JSON.parse(JSON.stringify(value)) : value;
+  }
+}
+
+ProjectSchema.STATUSES = ['active', 'wip', 'maintenance', 'archived', 'deprecated'];
+
+ProjectSchema.PROJECT = {
+  id: { type: 'string', required: true, pattern: /^[\w-]+$/ },
+  name: { type: 'string', required: true },
+  description: { type: 'string', default: '' },
+  icon: { type: 'string', pattern: /^(fab|fas|far) fa-[a-z0-9-]+$/ },
+  technologies: { type: 'array', items: { type: 'string' }, default: [] },
+  github: { type: 'url' },
+  demo: { type: 'url' },
+  featured: { type: 'boolean', default: false },
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' },
+  status: { type: 'string', enum: ProjectSchema.STATUSES, default: 'active' },
+  color: { type: 'color' },
+  language: { type: 'string', default: 'Other' },
+  details: { type: 'string' },
+  detailsFile: { type: 'path' },
+  screenshots: {
+    type: 'array',
+    items: {
+      type: 'string',
+      or: { type: 'object', fields: { src: { type: 'path', required: true }, alt: { type: 'string' }, caption: { type: 'string' } } }
+    }
+  },
+  timeline: {
+    type: 'array',
+    items: { type: 'object', fields: { date: { type: 'date', required: true }, title: { type: 'string', required: true } } }
+  },
+  // Per-locale overrides, e.g. { "en": { "name": "...", "description": "..." } }
+  translations: {
+    type: 'object',
+    keys: /^[a-z]{2}(-[A-Z]{2})?$/,
+    values: { type: 'object', fields: { name: { type: 'string' }, description: { type: 'string' }, details: { type: 'string' } } }
+  }
+};
+
+ProjectSchema.SETTINGS = {
+  showFeaturedFirst: { type: 'boolean', default: true },
+  defaultSort: { type: 'string', enum: ['manual', 'newest', 'oldest', 'name', 'stars', 'updated', 'status'], default: 'newest' },
+  maxProjectsPerPage: { type: 'integer', min: 1, default: 9 },
+  infiniteScroll: { type: 'boolean', default: false },
+  animationDuration: { type: 'number', min: 0, default: 300 },
+  mergeStrategy: { type: 'string', enum: ['repo', 'local', 'newest'], default: 'newest' },
+  githubSync: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean', default: false },
+      topic: { type: 'string' },
+      include: { type: 'array', items: { type: 'string' }, default: [] },
+      exclude: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+  }
+};
+
+ProjectSchema.THEME = {
+  name: { type: 'string' },
+  colors: {
+    type: 'object',
+    fields: {
+      primary: { type: 'color' },
+      secondary: { type: 'color' },
+      accent: { type: 'color' }
+    }
+  }
+};
+
+ProjectSchema.SITE = {
+  accounts: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        login: { type: 'string', required: true, pattern: /^[A-Za-z0-9-]+$/ },
+        type: { type: 'string', enum: ['user', 'org'], default: 'user' }
+      }
+    }
+  },
+  statsMode: { type: 'string', enum: ['combined', 'per-account'], default: 'combined' }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectSchema;
+}
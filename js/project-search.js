@@ -0,0 +1,269 @@
+/**
+ * Project Search Index
+ * Ranked fuzzy matching over project fields with highlight ranges
+ *
+ * Text is compared after Unicode NFKC, lower-casing and katakana → hiragana,
+ * so full-width/half-width and kana differences don't cause misses. Runs in
+ * the browser and in Node.
+ */
+
+class ProjectSearchIndex {
+  constructor(fields = ProjectSearchIndex.FIELDS) {
+    this.fields = fields;
+    // Normalized fields per project object; edited projects are new objects
+    this.documents = new WeakMap();
+    this.query = null;
+    this.results = new WeakMap();
+  }
+
+  /**
+   * Match a project against a query.
+   * Returns null when a term matches no field, otherwise { score, highlights }
+   * where highlights maps "name", "description", "technologies.0", ... to
+   * [start, end] ranges in the original text.
+   */
+  match(item, query) {
+    if (query !== this.query) {
+      this.query = query;
+      this.results = new WeakMap();
+    }
+    if (!this.results.has(item)) {
+      this.results.set(item, this.computeMatch(item, ProjectSearchIndex.parseQuery(query)));
+    }
+    return this.results.get(item);
+  }
+
+  /**
+   * Score every term against every field; all terms must match somewhere
+   */
+  computeMatch(item, terms) {
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const document = this.getDocument(item);
+    const highlights = {};
+    let score = 0;
+
+    for (const term of terms) {
+      let termScore = 0;
+      document.forEach(entry => {
+        const found = ProjectSearchIndex.findTerm(entry.normalized.text, term);
+        if (!found) {
+          return;
+        }
+        termScore += entry.weight * found.quality;
+        const ranges = found.ranges.map(([start, end]) => [
+          entry.normalized.map[start][0],
+          entry.normalized.map[end - 1][1]
+        ]);
+        highlights[entry.key] = [...(highlights[entry.key] || []), ...ranges];
+      });
+
+      if (termScore === 0) {
+        return null;
+      }
+      score += termScore;
+    }
+
+    Object.keys(highlights).forEach(key => {
+      highlights[key] = ProjectSearchIndex.mergeRanges(highlights[key]);
+    });
+    return { score, highlights };
+  }
+
+  /**
+   * Normalized, weighted field values of a project
+   */
+  getDocument(item) {
+    if (!this.documents.has(item)) {
+      const entries = [];
+      this.fields.forEach(field => {
+        const value = item[field.name];
+        const values = Array.isArray(value) ? value : [value];
+        values.forEach((text, index) => {
+          if (typeof text !== 'string' || !text) return;
+          entries.push({
+            key: Array.isArray(value) ? `${field.name}.${index}` : field.name,
+            weight: field.weight,
+            normalized: ProjectSearchIndex.normalize(text)
+          });
+        });
+      });
+      this.documents.set(item, entries);
+    }
+    return this.documents.get(item);
+  }
+
+  /**
+   * Find a term in normalized text.
+   * Quality: 3 for a whole word, 2 for a word prefix, 1 for any substring,
+   * and less for near misses within the allowed edit distance.
+   */
+  static findTerm(text, term) {
+    // Latin words and runs of other letters, so "canvasを使用" is two words
+    const words = [...text.matchAll(/[\p{Script=Latin}\p{N}]+|(?:(?![\p{Script=Latin}\p{N}])[\p{L}\p{M}])+/gu)].map(match => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+
+    const ranges = [];
+    let quality = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + 1)) {
+      ranges.push([index, index + term.length]);
+      const word = words.find(w => w.start <= index && index < w.end);
+      if (word && word.start === index && word.end === index + term.length) {
+        quality = Math.max(quality, 3);
+      } else if (!word || word.start === index) {
+        quality = Math.max(quality, 2);
+      } else {
+        quality = Math.max(quality, 1);
+      }
+    }
+    if (ranges.length > 0) {
+      return { quality, ranges };
+    }
+
+    // Typo tolerance for Latin words long enough that one edit still means the same thing
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (maxDistance === 0 || !/^[\p{Script=Latin}\p{N}]+$/u.test(term)) {
+      return null;
+    }
+    words.forEach(({ word, start, end }) => {
+      // Compare against the word and its prefix, so partially typed words still match
+      const distance = Math.min(
+        ProjectSearchIndex.editDistance(term, word, maxDistance),
+        ProjectSearchIndex.editDistance(term, word.slice(0, term.length), maxDistance)
+      );
+      if (distance <= maxDistance) {
+        ranges.push([start, end]);
+        quality = Math.max(quality, distance === 1 ? 0.5 : 0.25);
+      }
+    });
+    return ranges.length > 0 ? { quality, ranges } : null;
+  }
+
+  /**
+   * Edit distance counting adjacent transpositions as one edit.
+   * Returns maxDistance + 1 as soon as the distance is known to exceed it.
+   */
+  static editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Split a query into unique normalized terms
+   */
+  static parseQuery(query) {
+    const terms = ProjectSearchIndex.normalize(String(query || '')).text.split(/\s+/).filter(Boolean);
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Normalize text for matching: NFKC, lower case, katakana → hiragana.
+   * map[i] is the [start, end) range in the original text that produced
+   * normalized character i, used to place highlights.
+   */
+  static normalize(text) {
+    let normalized = '';
+    const map = [];
+    let offset = 0;
+
+    for (const char of text) {
+      const start = offset;
+      offset += char.length;
+
+      for (let output of char.normalize('NFKC').toLowerCase()) {
+        const code = output.codePointAt(0);
+        if (code >= 0x30A1 && code <= 0x30F6) {
+          output = String.fromCodePoint(code - 0x60);
+        }
+
+        // Half-width voiced marks (e.g. ｶﾞ) become combining marks; join them with the kana
+        if ((output === '\u3099' || output === '\u309A') && normalized) {
+          const composed = (normalized.slice(-1) + output).normalize('NFC');
+          if (composed.length === 1) {
+            normalized = normalized.slice(0, -1) + composed;
+            map[map.length - 1] = [map[map.length - 1][0], offset];
+            continue;
+          }
+        }
+
+        normalized += output;
+        map.push([start, offset]);
+      }
+    }
+
+    return { text: normalized, map };
+  }
+
+  /**
+   * Sort and merge overlapping [start, end] ranges
+   */
+  static mergeRanges(ranges) {
+    return [...ranges].sort((a, b) => a[0] - b[0]).reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Split text into { text, match } parts for rendering highlights
+   */
+  static splitHighlights(text, ranges = []) {
+    const parts = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > position) {
+        parts.push({ text: text.slice(position, start), match: false });
+      }
+      parts.push({ text: text.slice(Math.max(start, position), end), match: true });
+      position = Math.max(position, end);
+    });
+    if (position < text.length) {
+      parts.push({ text: text.slice(position), match: false });
+    }
+    return parts;
+  }
+}
+
+ProjectSearchIndex.FIELDS = [
+  { name: 'name', weight: 5 },
+  { name: 'technologies', weight: 3 },
+  { name: 'language', weight: 2 },
+  { name: 'description', weight: 1 }
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectSearchIndex;
+}
@@ -4,11 +4,29 @@
  */
 
 class ProjectsManager {
-  constructor() {
+  constructor(githubApi = null, options = {}) {
+    this.githubApi = githubApi;
+    this.dataUrl = options.dataUrl || './data/projects.json';
+    this.repositories = [];
+    this.metrics = {};
     this.projects = [];
     this.filteredProjects = [];
     this.settings = {};
+    this.theme = {};
+    this.site = {};
+    this.validationIssues = [];
+    this.filters = { query: '', language: '', technologies: [], status: '', showArchived: false };
+    this.searchIndex = new ProjectSearchIndex();
+    this.sortBy = '';
+    this.currentPage = 1;
+    this.sortedProjects = [];
+    this.loadMoreObserver = null;
+    this.metricsObserver = null;
     this.isLoaded = false;
+    this.isSyncing = false;
+    // Projects, deletions, order and settings changed in this browser
+    this.localChanges = ProjectsManager.createLocalChanges();
+    this.dataModifiedAt = null;
   }
 
   /**
@@ -16,22 +34,41 @@ class ProjectsManager {
    */
   async loadProjects() {
     try {
-      const response = await fetch('./data/projects.json');
+      const response = await fetch(this.dataUrl);
       if (!response.ok) {
         throw new Error(`Failed to load projects: ${response.status}`);
       }
       
-      const data = await response.json();
-      this.projects = data.projects || [];
-      this.settings = data.settings || {};
+      // Used to tell whether local changes are older than the deployed data
+      const lastModified = response.headers.get('Last-Modified');
+      this.dataModifiedAt = lastModified && !Number.isNaN(new Date(lastModified).getTime()) ?
+        new Date(lastModified).toISOString() : null;
+
+      // Bad entries are skipped or fixed instead of breaking the whole grid
+      const { data, issues } = ProjectSchema.validate(await response.json());
+      this.validationIssues.push(...issues);
+      if (issues.length > 0) {
+        console.warn(`${this.dataUrl} has ${issues.length} issue(s):\n${issues.map(ProjectSchema.formatIssue).join('\n')}`);
+      }
+
+      this.projects = data.projects;
+      this.settings = data.settings;
+      this.theme = data.theme;
+      this.site = data.site;
       this.filteredProjects = [...this.projects];
       this.isLoaded = true;
       
       return this.projects;
     } catch (error) {
       console.error('Error loading projects:', error);
+      this.validationIssues.push({
+        path: '',
+        message: `Failed to load ${this.dataUrl} (${error.message}); showing fallback data`,
+        severity: 'error'
+      });
       // Load fallback data
       this.loadFallbackData();
+      this.settings = ProjectSchema.validateObject({}, ProjectSchema.SETTINGS, 'settings', []);
       return this.projects;
     }
   }
@@ -53,13 +90,105 @@ class ProjectsManager {
         createdAt: '2025-01-01',
         status: 'active',
         color: '#F7DF1E',
-        language: 'JavaScript'
+        language: 'JavaScript',
+        translations: {
+          en: {
+            description: 'A browser game built on HTML5 Canvas. A client-side game developed with modern JavaScript (ES6+) and a custom physics simulation.'
+          }
+        }
       }
     ];
     this.filteredProjects = [...this.projects];
     this.isLoaded = true;
   }
 
+  /**
+   * Sync projects from GitHub repositories (opt-in via settings.githubSync)
+   */
+  async syncFromGitHub() {
+    const syncSettings = this.settings.githubSync || {};
+    if (!syncSettings.enabled || !this.githubApi) {
+      return [];
+    }
+
+    this.repositories = await this.githubApi.getAllRepositories();
+
+    const topic = syncSettings.topic;
+    // Entries may be a repository name or "owner/name" for repositories of other accounts
+    const matches = (list, repo) => (list || []).some(entry =>
+      entry.includes('/') ? entry.toLowerCase() === repo.full_name.toLowerCase() : entry === repo.name
+    );
+
+    const syncedProjects = this.repositories
+      .filter(repo => {
+        if (matches(syncSettings.exclude, repo)) return false;
+        if (matches(syncSettings.include, repo)) return true;
+        return !repo.fork && !!topic && repo.topics.includes(topic);
+      })
+      .map(repo => this.mapRepositoryToProject(repo, topic))
+      .filter(project => {
+        const deletedAt = this.localChanges.deleted[project.id];
+        return !(deletedAt && this.shouldKeepLocal(deletedAt, project.updatedAt));
+      });
+
+    this.projects = this.mergeSyncedProjects(this.projects, syncedProjects);
+    this.filteredProjects = this.getFilteredProjects();
+
+    return syncedProjects;
+  }
+
+  /**
+   * Map a GitHub repository to the project schema
+   */
+  mapRepositoryToProject(repo, syncTopic) {
+    const technologies = [repo.language, ...repo.topics.filter(t => t !== syncTopic)]
+      .filter((tech, index, list) => tech && list.indexOf(tech) === index);
+
+    // Repositories of secondary accounts are prefixed with the owner to keep ids unique
+    const owner = repo.full_name.split('/')[0];
+    const primary = !this.githubApi || owner.toLowerCase() === this.githubApi.username.toLowerCase();
+
+    return {
+      id: PortfolioUtils.slugify(primary ? repo.name : `${owner}-${repo.name}`),
+      name: repo.name,
+      description: repo.description,
+      icon: this.getLanguageIcon(repo.language),
+      technologies,
+      github: repo.html_url,
+      demo: repo.homepage || null,
+      featured: false,
+      createdAt: repo.created_at,
+      updatedAt: repo.pushed_at,
+      status: repo.archived ? 'archived' : 'active',
+      language: repo.language || 'Other',
+      source: 'github'
+    };
+  }
+
+  /**
+   * Merge synced projects into curated ones. Curated fields always win.
+   */
+  mergeSyncedProjects(curatedProjects, syncedProjects) {
+    const normalizeUrl = url => (url || '').toLowerCase().replace(/\/+$/, '');
+    const merged = [...curatedProjects];
+
+    syncedProjects.forEach(synced => {
+      const index = merged.findIndex(project =>
+        project.id === synced.id ||
+        (project.github && normalizeUrl(project.github) === normalizeUrl(synced.github))
+      );
+
+      if (index === -1) {
+        merged.push(synced);
+      } else {
+        const { source, ...syncedFields } = synced;
+        merged[index] = { ...syncedFields, ...merged[index] };
+      }
+    });
+
+    return merged;
+  }
+
   /**
    * Get language-specific icon class
    */
@@ -102,50 +231,222 @@ class ProjectsManager {
   }
 
   /**
-   * Create project card HTML
+   * Create a project card element.
+   * Cards are built as DOM nodes so project data is never parsed as HTML;
+   * links must be http(s) and icons must match the Font Awesome class pattern.
    */
-  createProjectCard(project) {
-    const cardVariant = this.getCardVariant(project.language);
-    const technologies = project.technologies.map(tech => 
-      `<span class="tech-tag">${tech}</span>`
-    ).join('');
+  createProjectCard(original) {
+    const el = PortfolioUtils.createElement;
+    const project = window.localeManager.localizeProject(original);
+    const text = value => (value === null || value === undefined ? '' : String(value));
+    const technologies = Array.isArray(project.technologies) ? project.technologies : [];
+    const githubUrl = PortfolioUtils.safeUrl(project.github);
+    const demoUrl = PortfolioUtils.safeUrl(project.demo);
+    const icon = PortfolioUtils.safeIconClass(project.icon) || this.getLanguageIcon(project.language);
+    const searchResult = this.getSearchResult(project);
+    const highlight = (value, key) => ProjectSearchIndex.splitHighlights(text(value), searchResult ? searchResult.highlights[key] : [])
+      .map(part => (part.match ? el('mark', { className: 'search-highlight' }, [part.text]) : part.text));
 
-    const githubLink = project.github ? 
-      `<a href="${project.github}" target="_blank" rel="noopener noreferrer" class="project-link primary">
-        <i class="fab fa-github"></i>
-        GitHub
-      </a>` : '';
+    const githubLink = githubUrl ?
+      el('a', { href: githubUrl, target: '_blank', rel: 'noopener noreferrer', className: 'project-link primary' }, [
+        el('i', { className: 'fab fa-github', 'aria-hidden': 'true' }),
+        'GitHub'
+      ]) : null;
 
-    const demoLink = project.demo ? 
-      `<a href="${project.demo}" target="_blank" rel="noopener noreferrer" class="project-link secondary">
-        <i class="fas fa-external-link-alt"></i>
-        Demo
-      </a>` : '';
+    const demoLink = demoUrl ?
+      el('a', { href: demoUrl, target: '_blank', rel: 'noopener noreferrer', className: 'project-link secondary' }, [
+        el('i', { className: 'fas fa-external-link-alt', 'aria-hidden': 'true' }),
+        'Demo'
+      ]) : null;
 
-    const featuredBadge = project.featured ? 
-      '<div class="featured-badge">Featured</div>' : '';
+    // Metrics are filled in once the card scrolls into view
+    let metrics = null;
+    if (githubUrl) {
+      metrics = el('div', { className: 'project-metrics', 'aria-live': 'polite' });
+      if (this.metrics[project.id]) {
+        metrics.innerHTML = this.createMetricsHTML(this.metrics[project.id]);
+      }
+    }
 
-    return `
-      <div class="project-card ${cardVariant}" data-project-id="${project.id}">
-        ${featuredBadge}
-        <div class="project-card-content">
-          <i class="${project.icon || this.getLanguageIcon(project.language)} project-icon" aria-hidden="true"></i>
-          <h3 class="project-title">${project.name}</h3>
-          <p class="project-description">${project.description}</p>
-          <div class="project-technologies">
-            ${technologies}
-          </div>
-          <div class="project-links">
-            ${githubLink}
-            ${demoLink}
-          </div>
-        </div>
-      </div>
-    `;
+    // A project color replaces the language variant as the card accent
+    const hasAccent = !!PortfolioUtils.parseHexColor(project.color);
+    const variant = hasAccent ? '' : this.getCardVariant(project.language);
+
+    const card = el('div', { className: `project-card ${variant}`.trim() }, [
+      el('div', { className: 'project-badges' }, [
+        this.createStatusBadge(project.status),
+        project.featured ? el('div', { className: 'featured-badge' }, [window.localeManager.t('projects.featured')]) : null
+      ]),
+      el('div', { className: 'project-card-content' }, [
+        el('i', { className: `${icon} project-icon`, 'aria-hidden': 'true' }),
+        el('h3', { className: 'project-title' }, [
+          el('a', { href: `#/projects/${encodeURIComponent(text(project.id))}`, className: 'project-detail-link' }, highlight(project.name, 'name'))
+        ]),
+        el('p', { className: 'project-description' }, highlight(project.description, 'description')),
+        el('div', { className: 'project-technologies' },
+          technologies.map((tech, index) => el('span', { className: 'tech-tag' }, highlight(tech, `technologies.${index}`)))
+        ),
+        metrics,
+        el('div', { className: 'project-links' }, [githubLink, demoLink])
+      ])
+    ]);
+    card.dataset.projectId = text(project.id);
+    if (hasAccent) {
+      this.applyAccentColor(card, project.color);
+    }
+
+    return card;
+  }
+
+  /**
+   * Use a project color as the card accent, adjusted for the active theme so
+   * the border and icon reach 3:1 and tag text 4.5:1 against the card
+   */
+  applyAccentColor(card, color) {
+    const surface = this.getCardSurface();
+    const tint = PortfolioUtils.mixColors(color, surface, 0.12);
+
+    card.classList.add('has-accent');
+    card.dataset.accent = color;
+    card.style.setProperty('--project-accent', PortfolioUtils.ensureContrast(color, surface, 3));
+    card.style.setProperty('--project-accent-text', PortfolioUtils.ensureContrast(color, tint, 4.5));
+    card.style.setProperty('--project-accent-soft', tint);
+  }
+
+  /**
+   * Card background of the active theme (ThemeManager sets --card-surface)
+   */
+  getCardSurface() {
+    const surface = getComputedStyle(document.documentElement).getPropertyValue('--card-surface').trim();
+    return PortfolioUtils.parseHexColor(surface) ? surface : '#f9fafb';
+  }
+
+  /**
+   * Create the lifecycle status badge; unknown statuses get none
+   */
+  createStatusBadge(status) {
+    const label = ProjectsManager.STATUS_LABELS[status];
+    if (!label) {
+      return null;
+    }
+    return PortfolioUtils.createElement('span', { className: `status-badge status-${status}` }, [window.localeManager.t(label)]);
+  }
+
+  /**
+   * Sort mode used when none is chosen: relevance while searching, otherwise settings.defaultSort
+   */
+  getDefaultSortMode() {
+    if (this.filters.query.trim()) {
+      return 'relevance';
+    }
+    return ProjectsManager.SORT_MODES[this.settings.defaultSort] ? this.settings.defaultSort : 'newest';
+  }
+
+  /**
+   * Get the active sort mode
+   */
+  getSortMode() {
+    const mode = this.sortBy || this.getDefaultSortMode();
+    // Relevance only means something while searching
+    if (!ProjectsManager.SORT_MODES[mode] || (mode === 'relevance' && !this.filters.query.trim())) {
+      return this.getDefaultSortMode();
+    }
+    return mode;
+  }
+
+  /**
+   * Search match of a project for the current query, or null.
+   * Matches the fields shown in the current language.
+   */
+  getSearchResult(project) {
+    const query = this.filters.query.trim();
+    return query ? this.searchIndex.match(window.localeManager.localizeProject(project), query) : null;
+  }
+
+  /**
+   * Sort projects by the active mode, featured first if enabled
+   */
+  sortProjects(projects) {
+    const time = value => (value ? new Date(value).getTime() || 0 : 0);
+    const stars = project => (this.metrics[project.id] ? this.metrics[project.id].stars : -1);
+    const updated = project => time(project.updatedAt || (this.metrics[project.id] && this.metrics[project.id].updatedAt) || project.createdAt);
+    const statusRank = project => {
+      const rank = ProjectsManager.STATUS_ORDER.indexOf(project.status);
+      return rank === -1 ? ProjectsManager.STATUS_ORDER.length : rank;
+    };
+    const newest = (a, b) => time(b.createdAt) - time(a.createdAt);
+    const score = project => {
+      const result = this.getSearchResult(project);
+      return result ? result.score : 0;
+    };
+    const name = project => window.localeManager.localizeProject(project).name;
+    const locale = window.localeManager.locale;
+    const mode = this.getSortMode();
+
+    const compare = {
+      relevance: (a, b) => score(b) - score(a),
+      manual: () => 0,
+      newest,
+      oldest: (a, b) => time(a.createdAt) - time(b.createdAt),
+      name: (a, b) => name(a).localeCompare(name(b), locale, { sensitivity: 'base', numeric: true }),
+      stars: (a, b) => stars(b) - stars(a) || newest(a, b),
+      updated: (a, b) => updated(b) - updated(a),
+      status: (a, b) => statusRank(a) - statusRank(b) || newest(a, b)
+    }[mode];
+
+    return [...projects].sort((a, b) => {
+      // Featured projects aren't pinned above better search matches
+      if (this.settings.showFeaturedFirst && mode !== 'relevance' && !!a.featured !== !!b.featured) {
+        return a.featured ? -1 : 1;
+      }
+      return compare(a, b);
+    });
+  }
+
+  /**
+   * Change the sort mode and re-render from the first page
+   */
+  setSort(mode) {
+    this.sortBy = mode === this.getDefaultSortMode() ? '' : mode;
+    this.currentPage = 1;
+    this.displayProjects();
+    this.updateToolbar();
+    this.writeUrlState();
+    this.loadMetricsForSort();
+  }
+
+  /**
+   * Toggle pinning featured projects to the top
+   */
+  setFeaturedFirst(enabled) {
+    this.setLocalSetting('showFeaturedFirst', enabled);
+    this.displayProjects();
+    this.updateToolbar();
+  }
+
+  /**
+   * Sorting by stars needs metrics for every project, not only the visible page
+   */
+  async loadMetricsForSort() {
+    if (this.getSortMode() !== 'stars') {
+      return;
+    }
+
+    await this.loadProjectMetrics(this.projects);
+    if (this.getSortMode() === 'stars') {
+      this.displayProjects();
+    }
+  }
+
+  /**
+   * Number of projects shown per page
+   */
+  getPageSize() {
+    return this.settings.maxProjectsPerPage || 9;
   }
 
   /**
-   * Display projects in the grid
+   * Display projects in the grid, up to the current page
    */
   displayProjects(projects = this.filteredProjects) {
     const projectsGrid = document.getElementById('projects-grid');
@@ -155,224 +456,1325 @@ class ProjectsManager {
     }
 
     // Show loading state
-    projectsGrid.innerHTML = '<div class="projects-loading">プロジェクトを読み込み中...</div>';
-
-    // Sort projects (featured first if enabled)
-    const sortedProjects = [...projects];
-    if (this.settings.showFeaturedFirst) {
-      sortedProjects.sort((a, b) => {
-        if (a.featured && !b.featured) return -1;
-        if (!a.featured && b.featured) return 1;
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      });
-    }
+    projectsGrid.innerHTML = `<div class="projects-loading">${window.localeManager.t('projects.loading')}</div>`;
 
-    // Generate HTML for all projects
-    const projectsHTML = sortedProjects.map(project => 
-      this.createProjectCard(project)
-    ).join('');
+    const sortedProjects = this.sortProjects(projects);
+    this.sortedProjects = sortedProjects;
+
+    // Keep the page within range, e.g. when a shared link outlives some projects
+    const pageCount = Math.max(1, Math.ceil(sortedProjects.length / this.getPageSize()));
+    this.currentPage = Math.min(this.currentPage, pageCount);
+    const visibleProjects = sortedProjects.slice(0, this.currentPage * this.getPageSize());
 
     // Update DOM
     if (sortedProjects.length === 0) {
       projectsGrid.innerHTML = `
         <div class="projects-empty">
           <i class="fas fa-folder-open"></i>
-          <h3>プロジェクトが見つかりません</h3>
-          <p>現在表示できるプロジェクトがありません。</p>
+          <h3>${window.localeManager.t('projects.emptyTitle')}</h3>
+          <p>${window.localeManager.t(this.hasActiveFilters() ? 'projects.emptyFiltered' : 'projects.empty')}</p>
         </div>
       `;
-    } else {
-      projectsGrid.innerHTML = projectsHTML;
+      this.updateLoadMore();
+      return;
+    }
+
+    if (this.metricsObserver) {
+      this.metricsObserver.disconnect();
     }
+    projectsGrid.innerHTML = '';
+    this.appendProjects(visibleProjects);
+  }
 
-    // Add fade-in animation
-    const cards = projectsGrid.querySelectorAll('.project-card');
-    cards.forEach((card, index) => {
+  /**
+   * Append project cards to the grid without re-rendering existing ones
+   */
+  appendProjects(projects) {
+    const projectsGrid = document.getElementById('projects-grid');
+    const fragment = document.createDocumentFragment();
+    const cards = [];
+
+    // Add fade-in animation, staggered within the batch
+    projects.forEach((project, index) => {
+      const card = this.createProjectCard(project);
       card.style.animationDelay = `${index * 0.1}s`;
       card.classList.add('fade-in');
+      fragment.appendChild(card);
+      cards.push(card);
     });
+    projectsGrid.appendChild(fragment);
+
+    this.updateLoadMore();
 
     // Dispatch event for other components
     document.dispatchEvent(new CustomEvent('projectsDisplayed', {
-      detail: { projects: sortedProjects }
+      detail: { projects }
     }));
+
+    // Load GitHub metrics without blocking the render
+    this.observeProjectMetrics(projects, cards);
   }
 
   /**
-   * Filter projects by technology
+   * Show the next page of projects
    */
-  filterByTechnology(tech) {
-    if (!tech) {
-      this.filteredProjects = [...this.projects];
-    } else {
-      this.filteredProjects = this.projects.filter(project =>
-        project.technologies.some(t => 
-          t.toLowerCase().includes(tech.toLowerCase())
-        )
-      );
+  loadMore() {
+    const pageSize = this.getPageSize();
+    const start = this.currentPage * pageSize;
+    if (start >= this.sortedProjects.length) {
+      return;
     }
-    this.displayProjects();
+
+    this.currentPage++;
+    this.appendProjects(this.sortedProjects.slice(start, start + pageSize));
+    this.writeUrlState(true);
   }
 
   /**
-   * Filter projects by language
+   * Update the "load more" button and re-arm infinite scroll
    */
-  filterByLanguage(language) {
-    if (!language) {
-      this.filteredProjects = [...this.projects];
-    } else {
-      this.filteredProjects = this.projects.filter(project =>
-        project.language && project.language.toLowerCase() === language.toLowerCase()
-      );
+  updateLoadMore() {
+    const container = document.getElementById('projects-more');
+    if (!container) {
+      return;
+    }
+
+    const remaining = Math.max(0, this.sortedProjects.length - this.currentPage * this.getPageSize());
+    container.hidden = remaining === 0;
+
+    const button = container.querySelector('button');
+    if (button) {
+      button.textContent = window.localeManager.t('projects.loadMoreRemaining', { count: remaining });
+    }
+
+    // Re-observe so a sentinel that is still on screen triggers again
+    if (this.loadMoreObserver) {
+      this.loadMoreObserver.unobserve(container);
+      if (remaining > 0) {
+        this.loadMoreObserver.observe(container);
+      }
     }
-    this.displayProjects();
   }
 
   /**
-   * Search projects by name or description
+   * Set up the "load more" button and, if enabled, infinite scroll
    */
-  searchProjects(query) {
-    if (!query) {
-      this.filteredProjects = [...this.projects];
-    } else {
-      const searchTerm = query.toLowerCase();
-      this.filteredProjects = this.projects.filter(project =>
-        project.name.toLowerCase().includes(searchTerm) ||
-        project.description.toLowerCase().includes(searchTerm) ||
-        project.technologies.some(tech => 
-          tech.toLowerCase().includes(searchTerm)
-        )
-      );
+  bindLoadMore() {
+    const container = document.getElementById('projects-more');
+    if (!container) {
+      return;
+    }
+
+    const button = container.querySelector('button');
+    if (button) {
+      button.addEventListener('click', () => this.loadMore());
+    }
+
+    if (this.settings.infiniteScroll && 'IntersectionObserver' in window) {
+      this.loadMoreObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMore();
+        }
+      }, { rootMargin: '200px 0px' });
+      this.updateLoadMore();
     }
-    this.displayProjects();
   }
 
   /**
-   * Get project by ID
+   * Create GitHub metrics HTML for a project card
    */
-  getProject(id) {
-    return this.projects.find(project => project.id === id);
+  createMetricsHTML(metrics) {
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const releaseUrl = metrics.release && PortfolioUtils.safeUrl(metrics.release.html_url);
+    const release = releaseUrl ?
+      `<a class="project-metric" href="${escape(releaseUrl)}" target="_blank" rel="noopener noreferrer" title="${escape(i18n.t('metrics.release'))}">
+        <i class="fas fa-tag" aria-hidden="true"></i>${escape(metrics.release.tag_name)}
+      </a>` : '';
+
+    return `
+      <span class="project-metric" title="${escape(i18n.t('metrics.stars'))}">
+        <i class="fas fa-star" aria-hidden="true"></i>${metrics.stars.toLocaleString()}
+        <span class="sr-only">${escape(i18n.t('metrics.stars'))}</span>
+      </span>
+      <span class="project-metric" title="${escape(i18n.t('metrics.forks'))}">
+        <i class="fas fa-code-branch" aria-hidden="true"></i>${metrics.forks.toLocaleString()}
+        <span class="sr-only">${escape(i18n.t('metrics.forks'))}</span>
+      </span>
+      <span class="project-metric" title="${escape(i18n.t('metrics.issues'))}">
+        <i class="fas fa-circle-exclamation" aria-hidden="true"></i>${metrics.openIssues.toLocaleString()}
+        <span class="sr-only">${escape(i18n.t('metrics.issues'))}</span>
+      </span>
+      <span class="project-metric" title="${escape(i18n.formatDateTime(metrics.updatedAt))}">
+        <i class="fas fa-clock" aria-hidden="true"></i>${escape(i18n.t('metrics.updated', { time: i18n.formatRelativeTime(metrics.updatedAt) }))}
+      </span>
+      ${release}
+    `;
   }
 
   /**
-   * Add new project
+   * Load GitHub metrics as cards scroll into view, so a first visit doesn't
+   * request metrics and releases for every card at once
    */
-  addProject(projectData) {
-    // Validate required fields
-    if (!projectData.name || !projectData.github) {
-      throw new Error('必須フィールド（name, github）が不足しています');
+  observeProjectMetrics(projects, cards) {
+    if (!this.githubApi) {
+      return;
     }
 
-    // Generate ID if not provided
-    if (!projectData.id) {
-      projectData.id = this.generateId(projectData.name);
+    if (!('IntersectionObserver' in window)) {
+      this.loadProjectMetrics(projects);
+      return;
     }
 
-    // Set defaults
-    const newProject = {
-      id: projectData.id,
-      name: projectData.name,
-      description: projectData.description || '',
-      icon: projectData.icon || this.getLanguageIcon(projectData.language),
-      technologies: projectData.technologies || [],
-      github: projectData.github,
-      demo: projectData.demo || null,
-      featured: projectData.featured || false,
-      createdAt: new Date().toISOString(),
-      status: 'active',
-      color: projectData.color || '#333',
-      language: projectData.language || 'Other'
-    };
+    if (!this.metricsObserver) {
+      this.metricsObserver = new IntersectionObserver((entries) => {
+        const visibleCards = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+        if (visibleCards.length === 0) {
+          return;
+        }
 
-    // Add to projects array
-    this.projects.unshift(newProject);
-    this.filteredProjects = [...this.projects];
+        visibleCards.forEach(card => this.metricsObserver.unobserve(card));
+        this.loadProjectMetrics(visibleCards
+          .map(card => this.getProject(card.dataset.projectId))
+          .filter(Boolean));
+      }, { rootMargin: '200px 0px' });
+    }
 
-    // Refresh display
-    this.displayProjects();
+    cards.forEach(card => {
+      if (card.querySelector('.project-metrics')) {
+        this.metricsObserver.observe(card);
+      }
+    });
+  }
 
-    // Save to localStorage for persistence
-    this.saveToLocalStorage();
+  /**
+   * Load GitHub metrics for displayed projects and fill in their cards
+   */
+  async loadProjectMetrics(projects) {
+    if (!this.githubApi) {
+      return;
+    }
 
-    return newProject;
+    await Promise.all(projects.map(async project => {
+      const repo = this.githubApi.parseRepositoryUrl(project.github);
+      if (!repo) {
+        return;
+      }
+
+      const metrics = await this.githubApi.getRepositoryMetrics(repo.owner, repo.name);
+      if (metrics) {
+        this.metrics[project.id] = metrics;
+        this.renderProjectMetrics(project.id);
+      }
+    }));
+
+    document.dispatchEvent(new CustomEvent('projectMetricsLoaded', {
+      detail: { metrics: this.metrics }
+    }));
   }
 
   /**
-   * Generate unique ID from name
+   * Update the metrics section of a rendered card
    */
-  generateId(name) {
-    const baseId = name.toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
-    
-    let id = baseId;
-    let counter = 1;
-    
-    while (this.projects.some(p => p.id === id)) {
-      id = `${baseId}-${counter}`;
-      counter++;
+  renderProjectMetrics(projectId) {
+    const card = [...document.querySelectorAll('.project-card')]
+      .find(element => element.dataset.projectId === projectId);
+    const container = card && card.querySelector('.project-metrics');
+    if (container) {
+      container.innerHTML = this.createMetricsHTML(this.metrics[projectId]);
     }
-    
-    return id;
   }
 
   /**
-   * Save projects to localStorage
+   * Check whether a project matches every active filter
    */
-  saveToLocalStorage() {
-    try {
-      const data = {
-        projects: this.projects,
-        settings: this.settings,
-        timestamp: Date.now()
-      };
-      localStorage.setItem('portfolioProjects', JSON.stringify(data));
-    } catch (error) {
-      console.warn('Failed to save to localStorage:', error);
+  matchesFilters(project, filters = this.filters) {
+    const query = filters.query.trim();
+    if (query && !this.getSearchResult(project)) {
+      return false;
+    }
+
+    if (filters.language && (project.language || '').toLowerCase() !== filters.language.toLowerCase()) {
+      return false;
     }
+
+    // Archived projects are hidden unless asked for, by the toggle or the status filter
+    if (filters.status ? project.status !== filters.status : project.status === 'archived' && !filters.showArchived) {
+      return false;
+    }
+
+    // Exact match after synonyms are resolved, so "Java" doesn't match "JavaScript"
+    const facets = this.getProjectFacets(project);
+    return filters.technologies.every(selected => facets.has(ProjectsManager.getFacetKey(selected)));
   }
 
   /**
-   * Load projects from localStorage
+   * Technologies of a project including its language, with synonyms resolved
    */
-  loadFromLocalStorage() {
-    try {
-      const saved = localStorage.getItem('portfolioProjects');
-      if (saved) {
-        const data = JSON.parse(saved);
-        // Merge with loaded projects, prioritizing localStorage
-        const savedIds = data.projects.map(p => p.id);
-        const newProjects = this.projects.filter(p => !savedIds.includes(p.id));
-        this.projects = [...data.projects, ...newProjects];
-        this.filteredProjects = [...this.projects];
-        return true;
-      }
-    } catch (error) {
-      console.warn('Failed to load from localStorage:', error);
+  getProjectTechnologies(project) {
+    const values = [...(project.technologies || [])];
+    if (project.language && project.language !== 'Other') {
+      values.push(project.language);
     }
-    return false;
+    return ProjectsManager.normalizeTechnologies(values);
   }
 
   /**
-   * Initialize projects manager
+   * Facet keys of a project, for exact case-insensitive matching
    */
-  async init() {
-    try {
-      await this.loadProjects();
-      this.loadFromLocalStorage();
-      this.displayProjects();
-    } catch (error) {
-      console.error('Failed to initialize projects manager:', error);
-      this.loadFallbackData();
-      this.displayProjects();
-    }
+  getProjectFacets(project) {
+    return new Set(this.getProjectTechnologies(project).map(tech => tech.toLowerCase()));
   }
-}
+
+  /**
+   * Build the technology facet index across all projects, most common first
+   */
+  buildFacetIndex() {
+    const facets = new Map();
+    this.projects.forEach(project => {
+      this.getProjectTechnologies(project).forEach(label => {
+        const key = label.toLowerCase();
+        const facet = facets.get(key) || { key, label, count: 0 };
+        facet.count += 1;
+        facets.set(key, facet);
+      });
+    });
+    return [...facets.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Count facets across a set of projects, e.g. the current results
+   */
+  countFacets(projects) {
+    const counts = {};
+    projects.forEach(project => {
+      this.getProjectFacets(project).forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  /**
+   * Projects most similar to a project, best first. Shared technologies count
+   * most, then the same language and shared GitHub topics (known once the
+   * project's metrics are loaded). Returns { project, score, shared } entries
+   * where shared lists the labels the two projects have in common.
+   */
+  getRelatedProjects(project, limit = 3) {
+    const weights = ProjectsManager.SIMILARITY_WEIGHTS;
+    const time = value => (value ? new Date(value).getTime() || 0 : 0);
+    const signals = this.getSimilaritySignals(project);
+
+    return this.projects
+      .filter(other => other.id !== project.id)
+      .map(other => {
+        const otherSignals = this.getSimilaritySignals(other);
+        const shared = new Map();
+        let score = 0;
+
+        signals.technologies.forEach((label, key) => {
+          if (otherSignals.technologies.has(key)) {
+            score += weights.technology;
+            shared.set(key, label);
+          }
+        });
+        if (signals.language && signals.language.key === (otherSignals.language && otherSignals.language.key)) {
+          score += weights.language;
+          shared.set(signals.language.key, signals.language.label);
+        }
+        signals.topics.forEach((label, key) => {
+          if (otherSignals.topics.has(key) && !shared.has(key)) {
+            score += weights.topic;
+            shared.set(key, label);
+          }
+        });
+
+        return { project: other, score, shared: [...shared.values()] };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score ||
+        !!b.project.featured - !!a.project.featured ||
+        time(b.project.createdAt) - time(a.project.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Technologies, language and GitHub topics of a project as facet keys and labels.
+   * Topics already listed as a technology or the language are left out.
+   */
+  getSimilaritySignals(project) {
+    const language = project.language && project.language !== 'Other' ?
+      { key: ProjectsManager.getFacetKey(project.language), label: ProjectsManager.normalizeTechnology(project.language) } : null;
+
+    const technologies = new Map();
+    ProjectsManager.normalizeTechnologies(project.technologies || []).forEach(label => {
+      const key = label.toLowerCase();
+      if (!language || key !== language.key) {
+        technologies.set(key, label);
+      }
+    });
+
+    const topics = new Map();
+    const metrics = this.metrics[project.id];
+    ProjectsManager.normalizeTechnologies((metrics && metrics.topics) || []).forEach(label => {
+      const key = label.toLowerCase();
+      if (!technologies.has(key) && (!language || key !== language.key)) {
+        topics.set(key, label);
+      }
+    });
+
+    return { technologies, language, topics };
+  }
+
+  /**
+   * Resolve technology synonyms like "JS" to their canonical name
+   */
+  static normalizeTechnology(name) {
+    const trimmed = String(name).trim();
+    return ProjectsManager.TECH_SYNONYMS[trimmed.toLowerCase()] || trimmed;
+  }
+
+  /**
+   * Normalize a list of technologies, dropping empty values and duplicates
+   */
+  static normalizeTechnologies(technologies) {
+    const seen = new Set();
+    return technologies.filter(Boolean).map(tech => ProjectsManager.normalizeTechnology(tech)).filter(tech => {
+      const key = tech.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Case-insensitive key of a technology, after synonyms are resolved
+   */
+  static getFacetKey(name) {
+    return ProjectsManager.normalizeTechnology(name).toLowerCase();
+  }
+
+  /**
+   * Get the projects matching the current filters
+   */
+  getFilteredProjects() {
+    return this.projects.filter(project => this.matchesFilters(project));
+  }
+
+  /**
+   * Check whether any filter is active
+   */
+  hasActiveFilters() {
+    return !!(this.filters.query.trim() || this.filters.language || this.filters.technologies.length > 0 || this.filters.status);
+  }
+
+  /**
+   * Update filters and re-render the grid.
+   * Use replace for rapid changes like typing so they don't flood the history.
+   */
+  setFilters(filters, { replace = false } = {}) {
+    this.filters = { ...this.filters, ...filters };
+    this.currentPage = 1;
+    this.filteredProjects = this.getFilteredProjects();
+    this.displayProjects();
+    this.updateToolbar();
+    this.writeUrlState(replace);
+  }
+
+  /**
+   * Read search, filter, sort and page state from the query string
+   */
+  readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      filters: {
+        query: params.get('q') || '',
+        language: params.get('lang') || '',
+        technologies: ProjectsManager.normalizeTechnologies(params.getAll('tech')),
+        status: params.get('status') || '',
+        showArchived: params.get('archived') === '1'
+      },
+      sortBy: params.get('sort') || '',
+      page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+    };
+  }
+
+  /**
+   * Check whether the URL already matches the current state
+   */
+  isUrlStateCurrent() {
+    const state = this.readUrlState();
+    return state.filters.query === this.filters.query.trim() &&
+      state.filters.language === this.filters.language &&
+      state.filters.technologies.join('\n') === this.filters.technologies.join('\n') &&
+      state.filters.status === this.filters.status &&
+      state.filters.showArchived === this.filters.showArchived &&
+      state.sortBy === this.sortBy &&
+      state.page === this.currentPage;
+  }
+
+  /**
+   * Apply state from the URL without adding a history entry
+   */
+  restoreUrlState() {
+    const state = this.readUrlState();
+    this.filters = state.filters;
+    this.sortBy = state.sortBy;
+    this.currentPage = state.page;
+    this.filteredProjects = this.getFilteredProjects();
+  }
+
+  /**
+   * Write the current state to the query string, keeping unrelated parameters
+   */
+  writeUrlState(replace = false) {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+    ['q', 'lang', 'tech', 'status', 'archived', 'sort', 'page'].forEach(key => params.delete(key));
+
+    if (this.filters.query.trim()) params.set('q', this.filters.query.trim());
+    if (this.filters.language) params.set('lang', this.filters.language);
+    this.filters.technologies.forEach(tech => params.append('tech', tech));
+    if (this.filters.status) params.set('status', this.filters.status);
+    if (this.filters.showArchived) params.set('archived', '1');
+    if (this.sortBy) params.set('sort', this.sortBy);
+    if (this.currentPage > 1) params.set('page', this.currentPage);
+
+    if (url.href === window.location.href) {
+      return;
+    }
+
+    if (replace) {
+      history.replaceState(history.state, '', url);
+    } else {
+      history.pushState(history.state, '', url);
+    }
+  }
+
+  /**
+   * Clear every filter. Showing archived projects is a view option and is kept.
+   */
+  resetFilters() {
+    this.setFilters({ query: '', language: '', technologies: [], status: '' });
+  }
+
+  /**
+   * Filter projects by technology
+   */
+  filterByTechnology(tech) {
+    this.setFilters({ technologies: tech ? [ProjectsManager.normalizeTechnology(tech)] : [] });
+  }
+
+  /**
+   * Add or remove a technology from the filter
+   */
+  toggleTechnology(tech) {
+    const key = ProjectsManager.getFacetKey(tech);
+    const technologies = this.filters.technologies.some(t => ProjectsManager.getFacetKey(t) === key) ?
+      this.filters.technologies.filter(t => ProjectsManager.getFacetKey(t) !== key) :
+      [...this.filters.technologies, ProjectsManager.normalizeTechnology(tech)];
+    this.setFilters({ technologies });
+  }
+
+  /**
+   * Filter projects by language
+   */
+  filterByLanguage(language) {
+    this.setFilters({ language: language || '' });
+  }
+
+  /**
+   * Filter projects by lifecycle status
+   */
+  filterByStatus(status) {
+    this.setFilters({ status: ProjectsManager.STATUS_LABELS[status] ? status : '' });
+  }
+
+  /**
+   * Show or hide archived projects
+   */
+  setShowArchived(showArchived) {
+    this.setFilters({ showArchived: !!showArchived });
+  }
+
+  /**
+   * Search projects by name, technologies, language and description
+   */
+  searchProjects(query) {
+    // Refining an existing search replaces its history entry
+    this.setFilters({ query: query || '' }, { replace: !!this.filters.query });
+  }
+
+  /**
+   * Count how often each value appears across projects, most common first
+   */
+  countValues(getValues) {
+    const counts = {};
+    this.projects.forEach(project => {
+      getValues(project).filter(Boolean).forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  }
+
+  /**
+   * Build the language options and technology chips of the toolbar
+   */
+  renderToolbar() {
+    const toolbar = document.getElementById('projects-toolbar');
+    if (!toolbar) {
+      return;
+    }
+
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const languageSelect = document.getElementById('language-filter');
+    const statusSelect = document.getElementById('status-filter');
+    const techFilter = document.getElementById('tech-filter');
+
+    if (languageSelect) {
+      languageSelect.innerHTML = `<option value="">${escape(i18n.t('projects.allLanguages'))}</option>` +
+        this.countValues(project => [project.language])
+          .map(language => `<option value="${escape(language)}">${escape(language)}</option>`)
+          .join('');
+    }
+
+    if (statusSelect) {
+      const statuses = new Set(this.projects.map(project => project.status));
+      statusSelect.innerHTML = `<option value="">${escape(i18n.t('projects.allStatuses'))}</option>` +
+        ProjectsManager.STATUS_ORDER
+          .filter(status => statuses.has(status))
+          .map(status => `<option value="${status}">${escape(i18n.t(ProjectsManager.STATUS_LABELS[status]))}</option>`)
+          .join('');
+    }
+
+    if (techFilter) {
+      // Chips are sized by how many projects use the technology
+      const facets = this.buildFacetIndex();
+      const maxCount = facets.length > 0 ? facets[0].count : 1;
+      techFilter.innerHTML = facets
+        .map(facet => `<button type="button" class="tech-chip" data-tech="${escape(facet.label)}" aria-pressed="false" style="--facet-weight: ${maxCount > 1 ? ((facet.count - 1) / (maxCount - 1)).toFixed(2) : 0}">
+          ${escape(facet.label)} <span class="tech-chip-count">(${facet.count})</span>
+        </button>`)
+        .join('');
+    }
+
+    this.updateToolbar();
+  }
+
+  /**
+   * Sync toolbar controls and the result count with the current filters
+   */
+  updateToolbar() {
+    const searchInput = document.getElementById('search-input');
+    const languageSelect = document.getElementById('language-filter');
+    const statusSelect = document.getElementById('status-filter');
+    const sortSelect = document.getElementById('sort-select');
+    const featuredFirst = document.getElementById('featured-first');
+    const showArchived = document.getElementById('show-archived');
+    const count = document.getElementById('projects-count');
+    const reset = document.getElementById('filters-reset');
+
+    if (searchInput && searchInput.value !== this.filters.query) {
+      searchInput.value = this.filters.query;
+    }
+    if (languageSelect) {
+      languageSelect.value = this.filters.language;
+    }
+    if (statusSelect) {
+      statusSelect.value = this.filters.status;
+    }
+    if (sortSelect) {
+      const relevance = sortSelect.querySelector('option[value="relevance"]');
+      if (relevance) {
+        relevance.disabled = !this.filters.query.trim();
+      }
+      sortSelect.value = this.getSortMode();
+    }
+    if (featuredFirst) {
+      featuredFirst.checked = !!this.settings.showFeaturedFirst;
+    }
+    if (showArchived) {
+      showArchived.checked = this.filters.showArchived;
+      // The status filter decides on its own whether archived projects are shown
+      showArchived.disabled = !!this.filters.status;
+    }
+    // Counts follow the other filters; facets with no results left are disabled
+    const facetCounts = this.countFacets(this.filteredProjects);
+    const selected = this.filters.technologies.map(tech => ProjectsManager.getFacetKey(tech));
+    document.querySelectorAll('#tech-filter .tech-chip').forEach(chip => {
+      const key = ProjectsManager.getFacetKey(chip.dataset.tech);
+      const pressed = selected.includes(key);
+      const countElement = chip.querySelector('.tech-chip-count');
+      chip.setAttribute('aria-pressed', String(pressed));
+      chip.disabled = !pressed && !facetCounts[key];
+      if (countElement) {
+        countElement.textContent = `(${facetCounts[key] || 0})`;
+      }
+    });
+    if (count) {
+      const archived = this.filters.status || this.filters.showArchived ? 0 :
+        this.projects.filter(project => project.status === 'archived').length;
+      const i18n = window.localeManager;
+      count.textContent = i18n.t('projects.count', { shown: this.filteredProjects.length, total: this.projects.length }) +
+        (archived > 0 ? i18n.t('projects.archivedHidden', { count: archived }) : '');
+    }
+    if (reset) {
+      reset.disabled = !this.hasActiveFilters();
+    }
+  }
+
+  /**
+   * Fill the sort select with labels in the current language
+   */
+  renderSortOptions() {
+    const sortSelect = document.getElementById('sort-select');
+    if (!sortSelect) {
+      return;
+    }
+    sortSelect.innerHTML = Object.entries(ProjectsManager.SORT_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${PortfolioUtils.escapeHtml(window.localeManager.t(label))}</option>`)
+      .join('');
+  }
+
+  /**
+   * Wire up toolbar events
+   */
+  bindToolbar() {
+    const searchInput = document.getElementById('search-input');
+    const languageSelect = document.getElementById('language-filter');
+    const techFilter = document.getElementById('tech-filter');
+    const statusSelect = document.getElementById('status-filter');
+    const sortSelect = document.getElementById('sort-select');
+    const featuredFirst = document.getElementById('featured-first');
+    const showArchived = document.getElementById('show-archived');
+    const reset = document.getElementById('filters-reset');
+
+    if (searchInput) {
+      let searchTimeout;
+      searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+          this.searchProjects(searchInput.value);
+        }, 150);
+      });
+    }
+
+    if (languageSelect) {
+      languageSelect.addEventListener('change', () => {
+        this.filterByLanguage(languageSelect.value);
+      });
+    }
+
+    if (statusSelect) {
+      statusSelect.addEventListener('change', () => {
+        this.filterByStatus(statusSelect.value);
+      });
+    }
+
+    if (techFilter) {
+      techFilter.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tech-chip');
+        if (chip) {
+          this.toggleTechnology(chip.dataset.tech);
+        }
+      });
+    }
+
+    if (sortSelect) {
+      this.renderSortOptions();
+      sortSelect.addEventListener('change', () => {
+        this.setSort(sortSelect.value);
+      });
+    }
+
+    if (featuredFirst) {
+      featuredFirst.addEventListener('change', () => {
+        this.setFeaturedFirst(featuredFirst.checked);
+      });
+    }
+
+    if (showArchived) {
+      showArchived.addEventListener('change', () => {
+        this.setShowArchived(showArchived.checked);
+      });
+    }
+
+    if (reset) {
+      reset.addEventListener('click', () => {
+        this.resetFilters();
+      });
+    }
+
+    // Back/forward restores the state stored in the URL
+    window.addEventListener('popstate', () => {
+      // Hash routes like the project detail view also fire popstate
+      if (this.isUrlStateCurrent()) {
+        return;
+      }
+      this.restoreUrlState();
+      this.displayProjects();
+      this.updateToolbar();
+      this.loadMetricsForSort();
+    });
+  }
+
+  /**
+   * Get project by ID
+   */
+  getProject(id) {
+    return this.projects.find(project => project.id === id);
+  }
+
+  /**
+   * Validate a single project, throwing with per-field issues on any problem
+   */
+  validateProject(project) {
+    const issues = [];
+    const [validProject] = ProjectSchema.validateProjects([project], 'project', issues);
+    if (!validProject || issues.length > 0) {
+      const error = new Error(issues.map(ProjectSchema.formatIssue).join('\n'));
+      error.issues = issues;
+      throw error;
+    }
+    return validProject;
+  }
+
+  /**
+   * Re-render after the project list changed and persist it
+   */
+  commitProjects() {
+    this.filteredProjects = this.getFilteredProjects();
+
+    // Refresh display
+    this.displayProjects();
+    this.renderToolbar();
+
+    // Save to localStorage for persistence
+    this.saveToLocalStorage();
+  }
+
+  /**
+   * Add new project
+   */
+  addProject(projectData) {
+    // Validate required fields
+    if (!projectData.name || !projectData.github) {
+      throw new Error(window.localeManager.t('editor.error.required'));
+    }
+
+    // Generate ID if not provided
+    if (!projectData.id) {
+      projectData.id = this.generateId(projectData.name);
+    } else if (this.getProject(projectData.id)) {
+      throw new Error(window.localeManager.t('editor.error.duplicateId', { id: projectData.id }));
+    }
+
+    // Set defaults; optional fields like details and screenshots are kept as given
+    const newProject = this.validateProject({
+      ...projectData,
+      id: projectData.id,
+      name: projectData.name,
+      description: projectData.description || '',
+      icon: projectData.icon || this.getLanguageIcon(projectData.language),
+      technologies: projectData.technologies || [],
+      github: projectData.github,
+      demo: projectData.demo || null,
+      featured: projectData.featured || false,
+      createdAt: projectData.createdAt || new Date().toISOString(),
+      status: projectData.status || 'active',
+      color: projectData.color,
+      language: projectData.language || 'Other',
+      updatedAt: new Date().toISOString()
+    });
+
+    // Add to projects array
+    this.projects.unshift(newProject);
+    this.recordLocalProject(newProject);
+    this.commitProjects();
+
+    return newProject;
+  }
+
+  /**
+   * Update a project. Changing the ID is allowed as long as it stays unique.
+   */
+  updateProject(id, changes) {
+    const index = this.projects.findIndex(project => project.id === id);
+    if (index === -1) {
+      throw new Error(window.localeManager.t('editor.error.notFound', { id }));
+    }
+    if (changes.id && changes.id !== id && this.getProject(changes.id)) {
+      throw new Error(window.localeManager.t('editor.error.duplicateId', { id: changes.id }));
+    }
+
+    // Edited projects become curated, so they are saved and exported
+    const { source, ...project } = { ...this.projects[index], ...changes, updatedAt: new Date().toISOString() };
+    const updatedProject = this.validateProject(project);
+    this.projects[index] = updatedProject;
+    if (updatedProject.id !== id) {
+      delete this.metrics[id];
+    }
+    this.recordLocalProject(updatedProject, id);
+    this.commitProjects();
+
+    return updatedProject;
+  }
+
+  /**
+   * Delete a project
+   */
+  deleteProject(id) {
+    const index = this.projects.findIndex(project => project.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.projects.splice(index, 1);
+    delete this.metrics[id];
+    this.recordLocalDeletion(id);
+    this.commitProjects();
+    return true;
+  }
+
+  /**
+   * Reorder projects to match a list of IDs; unknown IDs are ignored and
+   * projects missing from the list keep their relative order at the end
+   */
+  reorderProjects(ids) {
+    this.projects = this.orderProjects(this.projects, ids);
+    this.localChanges.order = {
+      ids: this.projects.map(project => project.id),
+      updatedAt: new Date().toISOString()
+    };
+    this.commitProjects();
+  }
+
+  /**
+   * Sort projects by their position in a list of IDs
+   */
+  orderProjects(projects, ids) {
+    const position = id => {
+      const index = ids.indexOf(id);
+      return index === -1 ? ids.length : index;
+    };
+    return projects
+      .map((project, index) => ({ project, index }))
+      .sort((a, b) => position(a.project.id) - position(b.project.id) || a.index - b.index)
+      .map(entry => entry.project);
+  }
+
+  /**
+   * Build a projects.json document from the current state, ready to commit
+   */
+  exportData() {
+    return {
+      projects: this.projects
+        .filter(project => project.source !== 'github')
+        .map(project => {
+          const { source, ...fields } = project;
+          return fields;
+        }),
+      theme: this.theme,
+      settings: this.settings,
+      site: this.site
+    };
+  }
+
+  /**
+   * Generate unique ID from name
+   */
+  generateId(name) {
+    const baseId = PortfolioUtils.slugify(name);
+    
+    let id = baseId;
+    let counter = 1;
+    
+    while (this.projects.some(p => p.id === id)) {
+      id = `${baseId}-${counter}`;
+      counter++;
+    }
+    
+    return id;
+  }
+
+  /**
+   * Save local changes to localStorage
+   */
+  saveToLocalStorage() {
+    try {
+      const data = {
+        version: ProjectsManager.STORAGE_VERSION,
+        savedAt: new Date().toISOString(),
+        ...this.localChanges
+      };
+      localStorage.setItem('portfolioProjects', JSON.stringify(data));
+    } catch (error) {
+      console.warn('Failed to save to localStorage:', error);
+    }
+  }
+
+  /**
+   * Load local changes from localStorage and merge them into the loaded projects
+   */
+  loadFromLocalStorage() {
+    try {
+      const saved = localStorage.getItem('portfolioProjects');
+      if (saved) {
+        const data = this.migrateLocalStorage(JSON.parse(saved));
+        if (!data) {
+          return false;
+        }
+
+        this.localChanges = {
+          projects: ProjectSchema.validateProjects(data.projects || [], 'localStorage.projects', this.validationIssues),
+          deleted: ProjectSchema.isObject(data.deleted) ? data.deleted : {},
+          order: data.order && Array.isArray(data.order.ids) ? data.order : null,
+          settings: data.settings && ProjectSchema.isObject(data.settings.values) ? data.settings : null
+        };
+        this.applyLocalChanges();
+        if (data.migrated) {
+          this.saveToLocalStorage();
+        }
+        return true;
+      }
+    } catch (error) {
+      console.warn('Failed to load from localStorage:', error);
+    }
+    return false;
+  }
+
+  /**
+   * Bring saved data up to the current storage version
+   * Returns null for data written by a newer version of the site
+   */
+  migrateLocalStorage(data) {
+    let version = data.version || 1;
+    if (version > ProjectsManager.STORAGE_VERSION) {
+      console.warn(`Ignoring saved projects from a newer storage version (${version})`);
+      return null;
+    }
+
+    const migrated = version < ProjectsManager.STORAGE_VERSION;
+    while (version < ProjectsManager.STORAGE_VERSION) {
+      data = ProjectsManager.STORAGE_MIGRATIONS[version](data);
+      version += 1;
+    }
+    return { ...data, migrated };
+  }
+
+  /**
+   * Merge local changes into the projects loaded from the repository
+   */
+  applyLocalChanges() {
+    const { projects, deleted, order, settings } = this.localChanges;
+    const localProjects = new Map(projects.map(project => [project.id, project]));
+    const repoIds = new Set(this.projects.map(project => project.id));
+
+    const merged = this.projects
+      .filter(project => !(deleted[project.id] && this.shouldKeepLocal(deleted[project.id], this.getRepoTime(project))))
+      .map(project => {
+        const local = localProjects.get(project.id);
+        return local && this.shouldKeepLocal(local.updatedAt, this.getRepoTime(project)) ? local : project;
+      });
+    const added = projects.filter(project => !repoIds.has(project.id) && !deleted[project.id]);
+    this.projects = [...added, ...merged];
+
+    if (order && this.shouldKeepLocal(order.updatedAt, this.dataModifiedAt)) {
+      this.projects = this.orderProjects(this.projects, order.ids);
+    }
+    if (settings && this.shouldKeepLocal(settings.updatedAt, this.dataModifiedAt)) {
+      this.settings = ProjectSchema.validateObject({ ...this.settings, ...settings.values }, ProjectSchema.SETTINGS, 'localStorage.settings', this.validationIssues);
+    }
+
+    this.filteredProjects = [...this.projects];
+  }
+
+  /**
+   * Decide whether a local change wins over the repository version,
+   * following settings.mergeStrategy ("repo", "local" or "newest")
+   */
+  shouldKeepLocal(localTime, repoTime) {
+    const strategy = this.settings.mergeStrategy || 'newest';
+    if (strategy !== 'newest') {
+      return strategy === 'local';
+    }
+    // Changes saved before timestamps existed cannot be compared, so the repository wins
+    if (!localTime) {
+      return false;
+    }
+    return !repoTime || new Date(localTime) > new Date(repoTime);
+  }
+
+  /**
+   * When a repository project was last changed: its own updatedAt, or the
+   * Last-Modified date of projects.json
+   */
+  getRepoTime(project) {
+    return project.updatedAt || this.dataModifiedAt;
+  }
+
+  /**
+   * Record a locally added or edited project
+   */
+  recordLocalProject(project, previousId = project.id) {
+    const changes = this.localChanges;
+    changes.projects = changes.projects.filter(local => local.id !== previousId && local.id !== project.id);
+    changes.projects.push(project);
+    delete changes.deleted[project.id];
+    if (previousId !== project.id) {
+      changes.deleted[previousId] = project.updatedAt;
+    }
+  }
+
+  /**
+   * Record a locally deleted project; the tombstone keeps repository
+   * projects from coming back on the next load
+   */
+  recordLocalDeletion(id) {
+    const changes = this.localChanges;
+    changes.projects = changes.projects.filter(local => local.id !== id);
+    changes.deleted[id] = new Date().toISOString();
+  }
+
+  /**
+   * Change a setting for this browser only
+   */
+  setLocalSetting(key, value) {
+    this.settings[key] = value;
+    this.localChanges.settings = {
+      values: { ...(this.localChanges.settings ? this.localChanges.settings.values : {}), [key]: value },
+      updatedAt: new Date().toISOString()
+    };
+    this.saveToLocalStorage();
+  }
+
+  /**
+   * Throw away everything saved in this browser and reload the repository data
+   */
+  async resetLocalChanges() {
+    try {
+      localStorage.removeItem('portfolioProjects');
+    } catch (error) {
+      console.warn('Failed to clear localStorage:', error);
+    }
+    this.localChanges = ProjectsManager.createLocalChanges();
+    this.validationIssues = [];
+    this.metrics = {};
+
+    await this.loadProjects();
+    if (this.settings.githubSync && this.settings.githubSync.enabled) {
+      await this.syncFromGitHub();
+    }
+    this.currentPage = 1;
+    this.filteredProjects = this.getFilteredProjects();
+    this.displayProjects();
+    this.renderToolbar();
+  }
+
+  /**
+   * Empty local changes, as stored in localStorage
+   */
+  static createLocalChanges() {
+    return { projects: [], deleted: {}, order: null, settings: null };
+  }
+
+  /**
+   * Read the data file from ?projects-data= for fixtures (relative paths only)
+   */
+  static getDataUrlFromQuery() {
+    const dataUrl = new URLSearchParams(window.location.search).get('projects-data');
+    return dataUrl && dataUrl.startsWith('./') ? dataUrl : null;
+  }
+
+  /**
+   * Dev mode shows data warnings: localhost, ?dev or localStorage "portfolio-dev-mode"
+   */
+  static isDevMode() {
+    try {
+      return new URLSearchParams(window.location.search).has('dev') ||
+        localStorage.getItem('portfolio-dev-mode') === 'true' ||
+        ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Show data validation issues to maintainers in dev mode
+   */
+  renderValidationPanel() {
+    const existing = document.getElementById('dev-warnings');
+    if (existing) {
+      existing.remove();
+    }
+    if (this.validationIssues.length === 0 || !ProjectsManager.isDevMode()) {
+      return;
+    }
+
+    const escape = PortfolioUtils.escapeHtml;
+    const i18n = window.localeManager;
+    const errors = this.validationIssues.filter(issue => issue.severity === 'error').length;
+    const warnings = this.validationIssues.length - errors;
+
+    const panel = document.createElement('aside');
+    panel.className = 'dev-warnings';
+    panel.id = 'dev-warnings';
+    panel.setAttribute('role', 'status');
+    panel.innerHTML = `
+      <div class="dev-warnings-header">
+        <strong>${escape(i18n.t('validation.title', { errors, warnings }))}</strong>
+        <button type="button" class="dev-warnings-close" aria-label="${escape(i18n.t('validation.dismiss'))}">
+          <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+      </div>
+      <ul class="dev-warnings-list">
+        ${this.validationIssues.map(issue => `
+          <li class="dev-warnings-${issue.severity}">
+            <code>${escape(issue.path || i18n.t('validation.root'))}</code> ${escape(issue.message)}
+          </li>
+        `).join('')}
+      </ul>
+      <p class="dev-warnings-hint">
+        ${i18n.t('validation.hint', { command: '<code>node scripts/validate-projects.js</code>' })}
+      </p>
+    `;
+    panel.querySelector('.dev-warnings-close').addEventListener('click', () => panel.remove());
+    document.body.appendChild(panel);
+  }
+
+  /**
+   * Initialize projects manager
+   */
+  async init() {
+    this.bindToolbar();
+
+    // Accents are adjusted to the theme's card background
+    document.addEventListener('themeChanged', () => {
+      document.querySelectorAll('.project-card.has-accent').forEach(card => {
+        this.applyAccentColor(card, card.dataset.accent);
+      });
+    });
+
+    // Labels and translated project fields follow the page language
+    document.addEventListener('localeChanged', () => {
+      this.renderSortOptions();
+      this.displayProjects();
+      this.renderToolbar();
+      // Keep a dismissed panel dismissed
+      if (document.getElementById('dev-warnings')) {
+        this.renderValidationPanel();
+      }
+    });
+
+    try {
+      await this.loadProjects();
+      this.loadFromLocalStorage();
+      this.restoreUrlState();
+      this.bindLoadMore();
+      this.displayProjects();
+      this.renderToolbar();
+      this.renderValidationPanel();
+      this.loadMetricsForSort();
+
+      // Add synced repositories once GitHub responds
+      if (this.settings.githubSync && this.settings.githubSync.enabled) {
+        this.isSyncing = true;
+        try {
+          await this.syncFromGitHub();
+        } finally {
+          this.isSyncing = false;
+        }
+        this.displayProjects();
+        this.renderToolbar();
+      }
+    } catch (error) {
+      console.error('Failed to initialize projects manager:', error);
+      this.loadFallbackData();
+      this.displayProjects();
+      this.renderToolbar();
+      this.renderValidationPanel();
+    }
+  }
+}
+
+// Sort modes and the message keys of their labels
+ProjectsManager.SORT_MODES = {
+  relevance: 'sort.relevance',
+  manual: 'sort.manual',
+  newest: 'sort.newest',
+  oldest: 'sort.oldest',
+  name: 'sort.name',
+  stars: 'sort.stars',
+  updated: 'sort.updated',
+  status: 'sort.status'
+};
+
+ProjectsManager.STATUS_ORDER = ProjectSchema.STATUSES;
+
+// Message keys of the status labels
+ProjectsManager.STATUS_LABELS = {
+  active: 'status.active',
+  wip: 'status.wip',
+  maintenance: 'status.maintenance',
+  archived: 'status.archived',
+  deprecated: 'status.deprecated'
+};
+
+// Score added per shared signal when ranking related projects
+ProjectsManager.SIMILARITY_WEIGHTS = {
+  technology: 3,
+  language: 2,
+  topic: 1
+};
+
+// Lower-case aliases and their canonical technology names
+ProjectsManager.TECH_SYNONYMS = {
+  js: 'JavaScript',
+  javascript: 'JavaScript',
+  es6: 'JavaScript',
+  ts: 'TypeScript',
+  typescript: 'TypeScript',
+  html: 'HTML5',
+  html5: 'HTML5',
+  css: 'CSS3',
+  css3: 'CSS3',
+  golang: 'Go',
+  go: 'Go',
+  node: 'Node.js',
+  nodejs: 'Node.js',
+  'node.js': 'Node.js',
+  py: 'Python',
+  python: 'Python',
+  k8s: 'Kubernetes',
+  kubernetes: 'Kubernetes',
+  docker: 'Docker'
+};
+
+ProjectsManager.STORAGE_VERSION = 2;
+
+// Migrations from each storage version to the next
+ProjectsManager.STORAGE_MIGRATIONS = {
+  // v1 saved a full copy of every curated project and of settings, so local
+  // edits cannot be told apart from stale copies. Projects are kept as they
+  // are (without an updatedAt of their own, newest-wins prefers the
+  // repository) and the settings copy is dropped.
+  1: data => ({
+    version: 2,
+    projects: Array.isArray(data.projects) ? data.projects : [],
+    deleted: {},
+    order: null,
+    settings: null
+  })
+};
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  const projectsManager = new ProjectsManager();
+  const projectsManager = new ProjectsManager(window.githubApi, {
+    dataUrl: ProjectsManager.getDataUrlFromQuery() || undefined
+  });
   projectsManager.init();
   
   // Make manager globally available
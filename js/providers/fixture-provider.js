@@ -0,0 +1,54 @@
+/**
+ * GitHub Fixture Provider
+ * Serves GitHub data from local JSON files for offline development
+ *
+ * Fixtures mirror REST API paths: /users/minngk/repos is read from
+ * data/fixtures/github/users/minngk/repos.json. Responses can be saved
+ * straight from the API, so they go through the same mapping as live data.
+ */
+
+class GitHubFixtureProvider extends GitHubRestProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fixture';
+    this.baseUrl = options.baseUrl || './data/fixtures/github';
+  }
+
+  /**
+   * Read the fixture file for an API path
+   */
+  async request(path) {
+    const [pathname, query = ''] = path.split('?');
+    const page = parseInt(new URLSearchParams(query).get('page'), 10) || 1;
+
+    // Fixtures hold a single page of results
+    if (page > 1) {
+      return { data: [], etag: null, notModified: false };
+    }
+
+    const response = await fetch(`${this.baseUrl}${pathname}.json`);
+    if (!response.ok) {
+      const error = new Error(`Fixture not found: ${pathname}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      data: await response.json(),
+      etag: null,
+      notModified: false
+    };
+  }
+
+  /**
+   * Fixtures have no rate limit
+   */
+  async getRateLimit() {
+    return null;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GitHubFixtureProvider;
+}
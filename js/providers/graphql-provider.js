@@ -0,0 +1,341 @@
+/**
+ * GitHub GraphQL Provider
+ * Loads GitHub data from the GraphQL API, which requires a token
+ *
+ * The profile query also returns pinned repositories and contribution
+ * totals, so they cost no extra request. Public events have no GraphQL
+ * equivalent and are read from the REST API with the same token.
+ */
+
+class GitHubGraphQLProvider {
+  constructor(options = {}) {
+    this.name = 'graphql';
+    this.endpoint = options.endpoint || 'https://api.github.com/graphql';
+    this.token = options.token || null;
+    this.rest = new GitHubRestProvider({ token: this.token });
+    this.rateLimit = null;
+    this.profileExtras = {};
+    this.cursors = {};
+  }
+
+  /**
+   * Run a GraphQL query
+   */
+  async query(query, variables = {}) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`GitHub GraphQL API responded with status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const result = await response.json();
+    if (result.errors && result.errors.length > 0) {
+      const error = new Error(`GitHub GraphQL error: ${result.errors[0].message}`);
+      error.status = result.errors[0].type === 'NOT_FOUND' ? 404 : null;
+      throw error;
+    }
+
+    if (result.data.rateLimit) {
+      this.updateRateLimit(result.data.rateLimit);
+    }
+    return result.data;
+  }
+
+  /**
+   * Record rate limit information from a query result
+   */
+  updateRateLimit(rateLimit) {
+    this.rateLimit = {
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      reset: new Date(rateLimit.resetAt).getTime()
+    };
+  }
+
+  /**
+   * Get a user profile, along with pinned repositories and contribution totals
+   */
+  async getUser(login, { type = 'user' } = {}) {
+    if (type === 'org') {
+      return this.getOrganization(login);
+    }
+
+    const data = await this.query(`
+      query($login: String!) {
+        rateLimit { limit remaining resetAt }
+        user(login: $login) {
+          avatarUrl bio location company websiteUrl createdAt
+          repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+          followers { totalCount }
+          following { totalCount }
+          pinnedItems(first: 6, types: REPOSITORY) {
+            nodes { ... on Repository { ${GitHubGraphQLProvider.REPOSITORY_FIELDS} } }
+          }
+          contributionsCollection {
+            totalCommitContributions
+            totalPullRequestContributions
+            totalIssueContributions
+            totalPullRequestReviewContributions
+            contributionCalendar { totalContributions }
+          }
+        }
+      }
+    `, { login });
+
+    const user = data.user;
+    const contributions = user.contributionsCollection;
+    this.profileExtras[login] = {
+      pinned: user.pinnedItems.nodes.map(repo => this.mapRepository(repo)),
+      contributions: {
+        total: contributions.contributionCalendar.totalContributions,
+        commits: contributions.totalCommitContributions,
+        pullRequests: contributions.totalPullRequestContributions,
+        issues: contributions.totalIssueContributions,
+        reviews: contributions.totalPullRequestReviewContributions
+      }
+    };
+
+    return {
+      data: {
+        public_repos: user.repositories.totalCount,
+        followers: user.followers.totalCount,
+        following: user.following.totalCount,
+        avatar_url: user.avatarUrl || '',
+        bio: user.bio || '',
+        location: user.location || '',
+        company: user.company || '',
+        blog: user.websiteUrl || '',
+        created_at: user.createdAt || ''
+      },
+      etag: null,
+      notModified: false
+    };
+  }
+
+  /**
+   * Get an organization profile. Organizations have no followers in GraphQL.
+   */
+  async getOrganization(login) {
+    const data = await this.query(`
+      query($login: String!) {
+        rateLimit { limit remaining resetAt }
+        organization(login: $login) {
+          avatarUrl description location websiteUrl createdAt
+          repositories(privacy: PUBLIC) { totalCount }
+        }
+      }
+    `, { login });
+
+    const org = data.organization;
+    return {
+      data: {
+        public_repos: org.repositories.totalCount,
+        followers: 0,
+        following: 0,
+        avatar_url: org.avatarUrl || '',
+        bio: org.description || '',
+        location: org.location || '',
+        company: '',
+        blog: org.websiteUrl || '',
+        created_at: org.createdAt || ''
+      },
+      etag: null,
+      notModified: false
+    };
+  }
+
+  /**
+   * Get a page of public repositories.
+   * GraphQL pages by cursor, so earlier pages are walked when needed.
+   */
+  async getRepositories(login, { type = 'user', page = 1, perPage = 30 } = {}) {
+    const root = type === 'org' ? 'organization' : 'user';
+    const affiliation = type === 'org' ? '' : ', ownerAffiliations: OWNER';
+    const cursorKey = `${type}:${login}:${perPage}`;
+    const cursors = this.cursors[cursorKey] || (this.cursors[cursorKey] = { 1: null });
+
+    let current = page;
+    while (cursors[current] === undefined) {
+      current--;
+    }
+
+    let repositories = [];
+    for (; current <= page; current++) {
+      const data = await this.query(`
+        query($login: String!, $first: Int!, $after: String) {
+          rateLimit { limit remaining resetAt }
+          ${root}(login: $login) {
+            repositories(first: $first, after: $after, privacy: PUBLIC${affiliation},
+                         orderBy: { field: UPDATED_AT, direction: DESC }) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ${GitHubGraphQLProvider.REPOSITORY_FIELDS} }
+            }
+          }
+        }
+      `, { login, first: Math.min(perPage, 100), after: cursors[current] });
+
+      const connection = data[root].repositories;
+      repositories = connection.nodes;
+      if (!connection.pageInfo.hasNextPage) {
+        if (current < page) {
+          repositories = [];
+        }
+        break;
+      }
+      cursors[current + 1] = connection.pageInfo.endCursor;
+    }
+
+    return {
+      data: repositories.map(repo => this.mapRepository(repo)),
+      etag: null,
+      notModified: false
+    };
+  }
+
+  /**
+   * Get a single repository
+   */
+  async getRepository(owner, name) {
+    const data = await this.query(`
+      query($owner: String!, $name: String!) {
+        rateLimit { limit remaining resetAt }
+        repository(owner: $owner, name: $name) { ${GitHubGraphQLProvider.REPOSITORY_FIELDS} }
+      }
+    `, { owner, name });
+
+    return { data: this.mapRepository(data.repository), etag: null, notModified: false };
+  }
+
+  /**
+   * Get the latest release; data is null when the repository has none
+   */
+  async getLatestRelease(owner, name) {
+    const data = await this.query(`
+      query($owner: String!, $name: String!) {
+        rateLimit { limit remaining resetAt }
+        repository(owner: $owner, name: $name) {
+          latestRelease { tagName name url publishedAt }
+        }
+      }
+    `, { owner, name });
+
+    const release = data.repository.latestRelease;
+    return {
+      data: release ? {
+        tag_name: release.tagName,
+        name: release.name || release.tagName,
+        html_url: release.url,
+        published_at: release.publishedAt
+      } : null,
+      etag: null,
+      notModified: false
+    };
+  }
+
+  /**
+   * Get language byte counts for a repository
+   */
+  async getRepositoryLanguages(fullName) {
+    const [owner, name] = fullName.split('/');
+    const data = await this.query(`
+      query($owner: String!, $name: String!) {
+        rateLimit { limit remaining resetAt }
+        repository(owner: $owner, name: $name) {
+          languages(first: 100) { edges { size node { name } } }
+        }
+      }
+    `, { owner, name });
+
+    const languages = {};
+    data.repository.languages.edges.forEach(edge => {
+      languages[edge.node.name] = edge.size;
+    });
+    return { data: languages, etag: null, notModified: false };
+  }
+
+  /**
+   * Get recent public events (REST only)
+   */
+  async getPublicEvents(login, options = {}) {
+    return this.rest.getPublicEvents(login, options);
+  }
+
+  /**
+   * Get pinned repositories, loading the profile if needed
+   */
+  async getPinnedRepositories(login) {
+    if (!this.profileExtras[login]) {
+      await this.getUser(login);
+    }
+    return this.profileExtras[login].pinned;
+  }
+
+  /**
+   * Get contribution totals for the last year, loading the profile if needed
+   */
+  async getContributionTotals(login) {
+    if (!this.profileExtras[login]) {
+      await this.getUser(login);
+    }
+    return this.profileExtras[login].contributions;
+  }
+
+  /**
+   * Check API rate limit
+   */
+  async getRateLimit() {
+    await this.query('query { rateLimit { limit remaining resetAt } }');
+    return this.rateLimit;
+  }
+
+  /**
+   * Map a repository node to the REST field names
+   */
+  mapRepository(repo) {
+    return {
+      name: repo.name,
+      full_name: repo.nameWithOwner,
+      description: repo.description || '',
+      html_url: repo.url,
+      homepage: repo.homepageUrl || '',
+      language: repo.primaryLanguage ? repo.primaryLanguage.name : '',
+      stargazers_count: repo.stargazerCount || 0,
+      forks_count: repo.forkCount || 0,
+      open_issues_count: repo.issues ? repo.issues.totalCount : 0,
+      updated_at: repo.updatedAt,
+      pushed_at: repo.pushedAt || repo.updatedAt,
+      created_at: repo.createdAt,
+      topics: repo.repositoryTopics ? repo.repositoryTopics.nodes.map(node => node.topic.name) : [],
+      fork: !!repo.isFork,
+      archived: !!repo.isArchived
+    };
+  }
+}
+
+GitHubGraphQLProvider.REPOSITORY_FIELDS = `
+  name nameWithOwner description url homepageUrl
+  primaryLanguage { name }
+  stargazerCount forkCount
+  issues(states: OPEN) { totalCount }
+  updatedAt pushedAt createdAt
+  repositoryTopics(first: 20) { nodes { topic { name } } }
+  isFork isArchived
+`;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GitHubGraphQLProvider;
+}
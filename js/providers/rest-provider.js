@@ -0,0 +1,282 @@
+/**
+ * GitHub REST Provider
+ * Loads GitHub data from the REST API (api.github.com)
+ *
+ * Every provider returns results as { data, etag, notModified } with data
+ * already mapped to the shapes GitHubAPI hands to the rest of the site.
+ */
+
+class GitHubRestProvider {
+  constructor(options = {}) {
+    this.name = 'rest';
+    this.baseUrl = options.baseUrl || 'https://api.github.com';
+    this.token = options.token || null;
+    this.rateLimit = null;
+  }
+
+  /**
+   * Perform a request, revalidating with If-None-Match when an ETag is known
+   */
+  async request(path, etag = null) {
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+    };
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, { headers });
+    this.updateRateLimit(response.headers);
+
+    // 304 responses don't count against the rate limit
+    if (response.status === 304) {
+      return { data: null, etag, notModified: true };
+    }
+
+    if (!response.ok) {
+      const error = new Error(`GitHub API responded with status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      data: await response.json(),
+      etag: response.headers.get('ETag'),
+      notModified: false
+    };
+  }
+
+  /**
+   * Record rate limit information from response headers
+   */
+  updateRateLimit(headers) {
+    const remaining = headers.get('X-RateLimit-Remaining');
+    if (remaining === null) {
+      return;
+    }
+
+    this.rateLimit = {
+      limit: parseInt(headers.get('X-RateLimit-Limit'), 10) || null,
+      remaining: parseInt(remaining, 10),
+      reset: (parseInt(headers.get('X-RateLimit-Reset'), 10) || 0) * 1000
+    };
+  }
+
+  /**
+   * API path prefix for an account type
+   */
+  getAccountPath(type) {
+    return type === 'org' ? '/orgs' : '/users';
+  }
+
+  /**
+   * Apply a mapping function to a fresh result
+   */
+  mapResult(result, map) {
+    return result.notModified ? result : { ...result, data: map(result.data) };
+  }
+
+  /**
+   * Get a user or organization profile
+   */
+  async getUser(login, { type = 'user', etag } = {}) {
+    const result = await this.request(`${this.getAccountPath(type)}/${login}`, etag);
+    return this.mapResult(result, data => this.mapUser(data));
+  }
+
+  /**
+   * Get a page of public repositories
+   */
+  async getRepositories(login, { type = 'user', page = 1, perPage = 30, etag } = {}) {
+    const filter = type === 'org' ? '&type=public' : '';
+    const result = await this.request(
+      `${this.getAccountPath(type)}/${login}/repos?page=${page}&per_page=${perPage}&sort=updated&direction=desc${filter}`,
+      etag
+    );
+    return this.mapResult(result, repos => repos.map(repo => this.mapRepository(repo)));
+  }
+
+  /**
+   * Get a single repository
+   */
+  async getRepository(owner, name, { etag } = {}) {
+    const result = await this.request(`/repos/${owner}/${name}`, etag);
+    return this.mapResult(result, repo => this.mapRepository(repo));
+  }
+
+  /**
+   * Get the latest release; data is null when the repository has none
+   */
+  async getLatestRelease(owner, name, { etag } = {}) {
+    try {
+      const result = await this.request(`/repos/${owner}/${name}/releases/latest`, etag);
+      return this.mapResult(result, release => this.mapRelease(release));
+    } catch (error) {
+      if (error.status === 404) {
+        return { data: null, etag: null, notModified: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get language byte counts for a repository
+   */
+  async getRepositoryLanguages(fullName, { etag } = {}) {
+    return this.request(`/repos/${fullName}/languages`, etag);
+  }
+
+  /**
+   * Get recent public events
+   */
+  async getPublicEvents(login, { type = 'user', perPage = 30, etag } = {}) {
+    const path = type === 'org' ?
+      `/orgs/${login}/events?per_page=${perPage}` :
+      `/users/${login}/events/public?per_page=${perPage}`;
+    const result = await this.request(path, etag);
+    return this.mapResult(result, events => events.map(event => this.mapEvent(event)).filter(Boolean));
+  }
+
+  /**
+   * Pinned repositories are only available through GraphQL
+   */
+  async getPinnedRepositories() {
+    return null;
+  }
+
+  /**
+   * Contribution totals are only available through GraphQL
+   */
+  async getContributionTotals() {
+    return null;
+  }
+
+  /**
+   * Check API rate limit (this endpoint does not count against the quota)
+   */
+  async getRateLimit() {
+    const { data } = await this.request('/rate_limit');
+    if (data.rate) {
+      this.rateLimit = {
+        limit: data.rate.limit,
+        remaining: data.rate.remaining,
+        reset: data.rate.reset * 1000
+      };
+    }
+    return this.rateLimit;
+  }
+
+  /**
+   * Map a user API response to the fields we use
+   */
+  mapUser(data) {
+    return {
+      public_repos: data.public_repos || 0,
+      followers: data.followers || 0,
+      following: data.following || 0,
+      avatar_url: data.avatar_url || '',
+      bio: data.bio || '',
+      location: data.location || '',
+      company: data.company || '',
+      blog: data.blog || '',
+      created_at: data.created_at || ''
+    };
+  }
+
+  /**
+   * Map a repository API response to the fields we use
+   */
+  mapRepository(repo) {
+    return {
+      name: repo.name,
+      full_name: repo.full_name,
+      description: repo.description || '',
+      html_url: repo.html_url,
+      homepage: repo.homepage || '',
+      language: repo.language || '',
+      stargazers_count: repo.stargazers_count || 0,
+      forks_count: repo.forks_count || 0,
+      open_issues_count: repo.open_issues_count || 0,
+      updated_at: repo.updated_at,
+      pushed_at: repo.pushed_at || repo.updated_at,
+      created_at: repo.created_at,
+      topics: repo.topics || [],
+      fork: !!repo.fork,
+      archived: !!repo.archived
+    };
+  }
+
+  /**
+   * Map a release API response to the fields we use
+   */
+  mapRelease(release) {
+    return {
+      tag_name: release.tag_name,
+      name: release.name || release.tag_name,
+      html_url: release.html_url,
+      published_at: release.published_at
+    };
+  }
+
+  /**
+   * Map a public event to the fields used by the activity feed
+   */
+  mapEvent(event) {
+    const payload = event.payload || {};
+    const base = {
+      id: event.id,
+      type: event.type,
+      repo: event.repo ? event.repo.name : '',
+      created_at: event.created_at
+    };
+
+    switch (event.type) {
+      case 'PushEvent':
+        return {
+          ...base,
+          commits: payload.size || (payload.commits || []).length,
+          branch: (payload.ref || '').replace('refs/heads/', '')
+        };
+      case 'PullRequestEvent':
+        return {
+          ...base,
+          action: payload.action,
+          merged: !!(payload.pull_request && payload.pull_request.merged),
+          number: payload.number,
+          title: payload.pull_request ? payload.pull_request.title : '',
+          url: payload.pull_request ? payload.pull_request.html_url : ''
+        };
+      case 'IssuesEvent':
+        return {
+          ...base,
+          action: payload.action,
+          number: payload.issue ? payload.issue.number : null,
+          title: payload.issue ? payload.issue.title : '',
+          url: payload.issue ? payload.issue.html_url : ''
+        };
+      case 'ReleaseEvent':
+        return {
+          ...base,
+          action: payload.action,
+          tag: payload.release ? payload.release.tag_name : '',
+          url: payload.release ? payload.release.html_url : ''
+        };
+      case 'CreateEvent':
+        return {
+          ...base,
+          refType: payload.ref_type,
+          ref: payload.ref
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GitHubRestProvider;
+}
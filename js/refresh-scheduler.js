@@ -0,0 +1,195 @@
+/**
+ * Refresh Scheduler
+ * Schedules GitHub stats refreshes within the API rate limit
+ */
+
+class RefreshScheduler {
+  constructor(githubApi, options = {}) {
+    this.githubApi = githubApi;
+    this.interval = options.interval || 5 * 60 * 1000; // 5 minutes
+    this.minInterval = options.minInterval || 60 * 1000; // merge requests within 1 minute
+    this.retryDelay = options.retryDelay || 30 * 1000;
+    this.maxDelay = options.maxDelay || 60 * 60 * 1000;
+    this.lowQuotaThreshold = options.lowQuotaThreshold || 10;
+
+    this.timer = null;
+    this.pending = null;
+    this.failures = 0;
+    this.lastError = null;
+    this.lastRefresh = null;
+    this.nextRefresh = null;
+    this.deferred = false;
+  }
+
+  /**
+   * Seed the rate limit and run the first refresh
+   */
+  async start() {
+    await this.githubApi.checkRateLimit();
+    return this.requestRefresh({ force: true });
+  }
+
+  /**
+   * Request a refresh. Requests made while one is running, or shortly
+   * after the last one, are merged into it.
+   */
+  requestRefresh({ force = false } = {}) {
+    if (this.pending) {
+      return this.pending;
+    }
+
+    const now = Date.now();
+    if (!force && this.lastRefresh && (now - this.lastRefresh) < this.minInterval) {
+      return Promise.resolve(false);
+    }
+
+    // Don't spend requests we don't have; wait for the quota to reset
+    const rate = this.githubApi.rateLimit;
+    if (rate && rate.remaining === 0 && rate.reset > now) {
+      this.schedule(rate.reset - now);
+      return Promise.resolve(false);
+    }
+
+    return this.run();
+  }
+
+  /**
+   * Run a refresh and schedule the next one
+   */
+  run() {
+    this.clearTimer();
+    this.deferred = false;
+
+    this.pending = this.refresh()
+      .finally(() => {
+        this.pending = null;
+      });
+
+    return this.pending;
+  }
+
+  /**
+   * Update the stats; the next refresh is scheduled even if the update throws
+   */
+  async refresh() {
+    let error = null;
+    try {
+      // updateStats reports the error of the stats requests themselves,
+      // so failures elsewhere (e.g. a card's metrics) don't cause backoff
+      error = await this.githubApi.updateStats();
+    } catch (thrown) {
+      console.error('Failed to refresh GitHub stats:', thrown);
+      error = thrown;
+    } finally {
+      this.lastError = error;
+      this.failures = error ? this.failures + 1 : 0;
+      this.lastRefresh = Date.now();
+      this.schedule(this.getNextDelay(error));
+    }
+    return !error;
+  }
+
+  /**
+   * Compute the delay before the next refresh
+   */
+  getNextDelay(error) {
+    const now = Date.now();
+    const rate = this.githubApi.rateLimit;
+    const untilReset = rate && rate.reset > now ? rate.reset - now : 0;
+
+    if (rate && rate.remaining === 0 && untilReset) {
+      return untilReset + 1000;
+    }
+
+    if (error) {
+      if ((error.status === 403 || error.status === 429) && untilReset) {
+        return untilReset + 1000;
+      }
+      // Exponential backoff: 30s, 1m, 2m, ... capped at maxDelay
+      return Math.min(this.retryDelay * Math.pow(2, this.failures - 1), this.maxDelay);
+    }
+
+    // Spread the remaining requests until the quota resets
+    if (rate && rate.remaining < this.lowQuotaThreshold && untilReset) {
+      return Math.min(Math.max(this.interval, untilReset / Math.max(rate.remaining, 1)), this.maxDelay);
+    }
+
+    return this.interval;
+  }
+
+  /**
+   * Whether the quota covers `requests` more calls and still leaves
+   * lowQuotaThreshold for the stats refreshes. An unknown quota (before the
+   * first response, or with fixtures) counts as enough.
+   */
+  hasQuotaFor(requests = 1) {
+    const rate = this.githubApi.rateLimit;
+    if (!rate || rate.reset <= Date.now()) {
+      return true;
+    }
+    return rate.remaining - requests >= this.lowQuotaThreshold;
+  }
+
+  /**
+   * Schedule the next refresh
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.nextRefresh = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+
+      // Skip refreshes in background tabs; the visibility change will request one
+      if (typeof document !== 'undefined' && document.hidden) {
+        this.deferred = true;
+        this.nextRefresh = null;
+        return;
+      }
+
+      this.requestRefresh({ force: true });
+    }, delay);
+  }
+
+  /**
+   * Cancel the scheduled refresh
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRefresh = null;
+  }
+
+  /**
+   * Stop scheduling refreshes
+   */
+  stop() {
+    this.clearTimer();
+  }
+
+  /**
+   * Get scheduler state
+   */
+  getState() {
+    const rate = this.githubApi.rateLimit;
+    return {
+      refreshing: !!this.pending,
+      deferred: this.deferred,
+      lastRefresh: this.lastRefresh,
+      nextRefresh: this.nextRefresh,
+      failures: this.failures,
+      lastError: this.lastError ? this.lastError.message : null,
+      rateLimit: rate ? {
+        limit: rate.limit,
+        remaining: rate.remaining,
+        reset: rate.reset
+      } : null
+    };
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RefreshScheduler;
+}
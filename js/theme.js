@@ -15,6 +15,7 @@ class ThemeManager {
           'accent-primary': '#d4a574',
           'accent-secondary': '#b8956a',
           'card-bg': 'rgba(255, 255, 255, 0.8)',
+          'card-surface': '#f9fafb',
           'shadow-light': 'rgba(107, 68, 35, 0.1)',
           'shadow-medium': 'rgba(107, 68, 35, 0.2)'
         }
@@ -28,6 +29,7 @@ class ThemeManager {
           'accent-primary': '#d4a574',
           'accent-secondary': '#b8956a',
           'card-bg': 'rgba(0, 0, 0, 0.3)',
+          'card-surface': '#3d2817',
           'shadow-light': 'rgba(0, 0, 0, 0.3)',
           'shadow-medium': 'rgba(0, 0, 0, 0.5)'
         }
@@ -41,6 +43,7 @@ class ThemeManager {
           'accent-primary': '#1890ff',
           'accent-secondary': '#096dd9',
           'card-bg': 'rgba(255, 255, 255, 0.8)',
+          'card-surface': '#f9fafb',
           'shadow-light': 'rgba(0, 58, 140, 0.1)',
           'shadow-medium': 'rgba(0, 58, 140, 0.2)'
         }
@@ -54,6 +57,7 @@ class ThemeManager {
           'accent-primary': '#52c41a',
           'accent-secondary': '#73d13d',
           'card-bg': 'rgba(255, 255, 255, 0.8)',
+          'card-surface': '#f9fafb',
           'shadow-light': 'rgba(19, 82, 0, 0.1)',
           'shadow-medium': 'rgba(19, 82, 0, 0.2)'
         }
@@ -211,7 +215,7 @@ class ThemeManager {
     const selector = document.createElement('div');
     selector.className = 'theme-selector';
     selector.innerHTML = `
-      <button class="theme-toggle" aria-label="テーマを変更">
+      <button class="theme-toggle" aria-label="${window.localeManager.t('theme.toggle')}" data-i18n-aria-label="theme.toggle">
         <i class="fas fa-palette"></i>
       </button>
       <div class="theme-dropdown">
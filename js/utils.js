@@ -0,0 +1,318 @@
+/**
+ * Shared Utilities
+ * Small helpers used by several components
+ */
+
+class PortfolioUtils {
+  /**
+   * Escape text for use in HTML templates
+   */
+  static escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Return the URL if it uses an allowed scheme (http/https), otherwise null.
+   * Relative URLs are allowed only when requested, e.g. for local images.
+   */
+  static safeUrl(url, { allowRelative = false } = {}) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    const trimmed = url.trim();
+    if (/^https?:\/\/[^\s]+$/i.test(trimmed)) {
+      return trimmed;
+    }
+
+    // Relative paths must not start with a scheme, "//" or a backslash
+    if (allowRelative && /^(?![a-z][a-z0-9+.-]*:|\/\/|\\)[^\s]+$/i.test(trimmed)) {
+      return trimmed;
+    }
+    return null;
+  }
+
+  /**
+   * Return the Font Awesome icon class if it matches the allowed pattern, otherwise null
+   */
+  static safeIconClass(icon) {
+    return typeof icon === 'string' && /^(fab|fas|far) fa-[a-z0-9-]+$/.test(icon) ? icon : null;
+  }
+
+  /**
+   * Convert a name to an ID-safe slug
+   */
+  static slugify(name) {
+    return name.toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Create an element. Attributes with null/undefined values are skipped and
+   * string children become text nodes, so data never gets parsed as HTML.
+   */
+  static createElement(tag, attributes = {}, children = []) {
+    const element = document.createElement(tag);
+
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value === null || value === undefined || value === false) {
+        return;
+      }
+      if (name === 'className') {
+        element.className = value;
+      } else {
+        element.setAttribute(name, value === true ? '' : String(value));
+      }
+    });
+
+    children.forEach(child => {
+      if (child === null || child === undefined || child === false) {
+        return;
+      }
+      element.append(typeof child === 'string' || typeof child === 'number' ? String(child) : child);
+    });
+
+    return element;
+  }
+
+  /**
+   * Format a date relative to now (e.g. "3 日前")
+   */
+  static formatRelativeTime(date, locale = 'ja') {
+    const time = new Date(date).getTime();
+    if (Number.isNaN(time)) {
+      return '';
+    }
+
+    const seconds = Math.round((time - Date.now()) / 1000);
+    const units = [
+      ['year', 365 * 24 * 60 * 60],
+      ['month', 30 * 24 * 60 * 60],
+      ['week', 7 * 24 * 60 * 60],
+      ['day', 24 * 60 * 60],
+      ['hour', 60 * 60],
+      ['minute', 60]
+    ];
+
+    const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+    for (const [unit, unitSeconds] of units) {
+      if (Math.abs(seconds) >= unitSeconds) {
+        return formatter.format(Math.round(seconds / unitSeconds), unit);
+      }
+    }
+    return formatter.format(0, 'minute');
+  }
+
+  /**
+   * Render a small, safe subset of Markdown: headings, paragraphs, lists,
+   * code blocks, emphasis, inline code and http(s) links. Raw HTML is escaped.
+   */
+  static renderMarkdown(markdown) {
+    const escape = PortfolioUtils.escapeHtml;
+    const inline = text => text.split('`').map((part, index) => (index % 2 === 1 ?
+      `<code>${escape(part)}</code>` :
+      escape(part)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+    )).join('');
+
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flush = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${inline(paragraph.join('\n'))}</p>`);
+        paragraph = [];
+      }
+      if (list) {
+        html.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (line.trim().startsWith('```')) {
+        flush();
+        const code = [];
+        while (++i < lines.length && !lines[i].trim().startsWith('```')) {
+          code.push(lines[i]);
+        }
+        html.push(`<pre><code>${escape(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Headings start at h3 since they sit under the page's own headings
+      const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+      if (heading) {
+        flush();
+        const level = Math.min(heading[1].length + 2, 6);
+        html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      const item = /^\s*(?:([-*])|(\d+)\.)\s+(.*)$/.exec(line);
+      if (item) {
+        const tag = item[1] ? 'ul' : 'ol';
+        if (paragraph.length > 0 || (list && list.tag !== tag)) {
+          flush();
+        }
+        list = list || { tag, items: [] };
+        list.items.push(item[3]);
+        continue;
+      }
+
+      if (!line.trim()) {
+        flush();
+        continue;
+      }
+
+      if (list) {
+        flush();
+      }
+      paragraph.push(line.trim());
+    }
+    flush();
+
+    return html.join('');
+  }
+
+  /**
+   * Parse a hex color (#rgb, #rrggbb or #rrggbbaa, alpha ignored) into { r, g, b }
+   */
+  static parseHexColor(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(typeof color === 'string' ? color.trim() : '');
+    if (!match) {
+      return null;
+    }
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1].slice(0, 6);
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16)
+    };
+  }
+
+  /**
+   * Format { r, g, b } as #rrggbb
+   */
+  static toHexColor({ r, g, b }) {
+    return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Blend a color over a background, e.g. for a translucent tint on a card
+   */
+  static mixColors(color, background, amount) {
+    const a = PortfolioUtils.parseHexColor(color);
+    const b = PortfolioUtils.parseHexColor(background);
+    return PortfolioUtils.toHexColor({
+      r: a.r * amount + b.r * (1 - amount),
+      g: a.g * amount + b.g * (1 - amount),
+      b: a.b * amount + b.b * (1 - amount)
+    });
+  }
+
+  /**
+   * WCAG contrast ratio between two hex colors (1 to 21)
+   */
+  static contrastRatio(color, background) {
+    const luminance = hex => {
+      const channels = PortfolioUtils.parseHexColor(hex);
+      const [r, g, b] = [channels.r, channels.g, channels.b].map(value => {
+        const c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(color), luminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  /**
+   * Darken (on light backgrounds) or lighten (on dark ones) a color in HSL
+   * until it reaches the given contrast ratio against the background
+   */
+  static ensureContrast(color, background, minRatio) {
+    if (PortfolioUtils.contrastRatio(color, background) >= minRatio) {
+      return PortfolioUtils.toHexColor(PortfolioUtils.parseHexColor(color));
+    }
+
+    const { h, s, l } = PortfolioUtils.rgbToHsl(PortfolioUtils.parseHexColor(color));
+    const step = PortfolioUtils.contrastRatio(background, '#000000') > PortfolioUtils.contrastRatio(background, '#ffffff') ? -0.02 : 0.02;
+    let adjusted = color;
+    for (let lightness = l + step; lightness >= 0 && lightness <= 1; lightness += step) {
+      adjusted = PortfolioUtils.toHexColor(PortfolioUtils.hslToRgb({ h, s, l: lightness }));
+      if (PortfolioUtils.contrastRatio(adjusted, background) >= minRatio) {
+        return adjusted;
+      }
+    }
+    return step < 0 ? '#000000' : '#ffffff';
+  }
+
+  /**
+   * Convert { r, g, b } (0-255) to { h, s, l } (0-1)
+   */
+  static rgbToHsl({ r, g, b }) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) {
+      return { h: 0, s: 0, l };
+    }
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) {
+      h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    } else if (max === gn) {
+      h = (bn - rn) / d + 2;
+    } else {
+      h = (rn - gn) / d + 4;
+    }
+    return { h: h / 6, s, l };
+  }
+
+  /**
+   * Convert { h, s, l } (0-1) to { r, g, b } (0-255)
+   */
+  static hslToRgb({ h, s, l }) {
+    if (s === 0) {
+      return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+
+    const hueToRgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return {
+      r: hueToRgb(p, q, h + 1 / 3) * 255,
+      g: hueToRgb(p, q, h) * 255,
+      b: hueToRgb(p, q, h - 1 / 3) * 255
+    };
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PortfolioUtils;
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * GitHub Snapshot Generator
+ * Writes data/github-snapshot.json so the site has data to show before
+ * (or without) a live API response. Requires Node.js 18+.
+ *
+ * Accounts are read from site.accounts in data/projects.json. Logins given
+ * on the command line override them; prefix organizations with "org:".
+ *
+ * Usage: GITHUB_TOKEN=<optional token> node scripts/build-github-snapshot.js [login|org:login ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GitHubRestProvider = require('../js/providers/rest-provider.js');
+
+const configPath = path.join(__dirname, '..', 'data', 'projects.json');
+const outputPath = path.join(__dirname, '..', 'data', 'github-snapshot.json');
+const provider = new GitHubRestProvider({ token: process.env.GITHUB_TOKEN });
+
+/**
+ * Read the accounts to snapshot from the command line or the site config
+ */
+function getAccounts() {
+  const args = process.argv.slice(2);
+  if (args.length > 0) {
+    return args.map(arg => (arg.startsWith('org:') ?
+      { login: arg.slice(4), type: 'org' } :
+      { login: arg, type: 'user' }));
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const accounts = (config.site && config.site.accounts) || [];
+  return accounts.length > 0 ? accounts : [{ login: 'minngk', type: 'user' }];
+}
+
+/**
+ * Fetch every public repository of an account
+ */
+async function fetchRepositories(account) {
+  const perPage = 100;
+  const repositories = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await provider.getRepositories(account.login, { type: account.type, page, perPage });
+    repositories.push(...data);
+    if (data.length < perPage) {
+      return repositories;
+    }
+  }
+}
+
+/**
+ * Combine language byte counts across non-fork repositories
+ */
+async function fetchLanguages(repositories) {
+  const totals = {};
+  let repoCount = 0;
+
+  for (const repo of repositories.filter(r => !r.fork)) {
+    const { data } = await provider.getRepositoryLanguages(repo.full_name);
+    Object.entries(data).forEach(([language, bytes]) => {
+      totals[language] = (totals[language] || 0) + bytes;
+    });
+    repoCount++;
+  }
+
+  return {
+    totals,
+    repoCount,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Keep the previous snapshot when only its generatedAt stamps would change,
+ * so an unchanged snapshot leaves the file as it is and there is nothing to commit
+ */
+function keepUnchanged(snapshot) {
+  let previous;
+  try {
+    previous = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  } catch (error) {
+    return snapshot;
+  }
+
+  const withoutTimestamps = value => JSON.stringify({
+    ...value,
+    generatedAt: null,
+    languages: { ...value.languages, generatedAt: null }
+  });
+  return withoutTimestamps(previous) === withoutTimestamps(snapshot) ? previous : snapshot;
+}
+
+async function main() {
+  const accounts = [];
+  const repositories = [];
+
+  for (const account of getAccounts()) {
+    const { data: user } = await provider.getUser(account.login, { type: account.type });
+    accounts.push({ login: account.login, type: account.type, user });
+    repositories.push(...await fetchRepositories(account));
+  }
+
+  const languages = await fetchLanguages(repositories);
+
+  const snapshot = {
+    generatedAt: new Date().toISOString(),
+    accounts,
+    repositories,
+    languages
+  };
+
+  const output = keepUnchanged(snapshot);
+  fs.writeFileSync(outputPath, `${JSON.stringify(output, null, 2)}\n`);
+
+  const rate = provider.rateLimit;
+  console.log(output === snapshot ?
+    `Wrote ${repositories.length} repositories to ${path.relative(process.cwd(), outputPath)}` :
+    'Snapshot unchanged');
+  if (rate) {
+    console.log(`Rate limit: ${rate.remaining}/${rate.limit} remaining`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Zenn Articles Snapshot
+ * Writes data/articles.json from the Zenn API (requires Node.js 18+)
+ *
+ * Usage: node scripts/fetch-zenn-articles.js [username]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const username = process.argv[2] || 'meirai';
+const outputPath = path.join(__dirname, '..', 'data', 'articles.json');
+
+/**
+ * Fetch JSON from the Zenn API
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json' }
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with status: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch every published article, following the next_page cursor
+ */
+async function fetchArticles() {
+  const articles = [];
+  let page = 1;
+
+  while (page) {
+    const data = await fetchJson(`https://zenn.dev/api/articles?username=${encodeURIComponent(username)}&order=latest&page=${page}`);
+    articles.push(...data.articles);
+    page = data.next_page;
+  }
+
+  return articles;
+}
+
+/**
+ * Topics are only returned by the article detail endpoint
+ */
+async function fetchTopics(slug) {
+  try {
+    const data = await fetchJson(`https://zenn.dev/api/articles/${slug}`);
+    return (data.article.topics || []).map(topic => topic.display_name || topic.name);
+  } catch (error) {
+    console.warn(`Failed to fetch topics for ${slug}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Keep the previous snapshot when only its generatedAt would change, so an
+ * unchanged snapshot leaves the file as it is and there is nothing to commit
+ */
+function keepUnchanged(snapshot) {
+  let previous;
+  try {
+    previous = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  } catch (error) {
+    return snapshot;
+  }
+
+  const withoutTimestamp = value => JSON.stringify({ ...value, generatedAt: null });
+  return withoutTimestamp(previous) === withoutTimestamp(snapshot) ? previous : snapshot;
+}
+
+async function main() {
+  const articles = await fetchArticles();
+  const snapshot = {
+    source: `https://zenn.dev/${username}`,
+    generatedAt: new Date().toISOString(),
+    articles: []
+  };
+
+  // Sequential requests to stay polite to the API
+  for (const article of articles) {
+    snapshot.articles.push({
+      title: article.title,
+      url: `https://zenn.dev${article.path}`,
+      publishedAt: article.published_at,
+      likes: article.liked_count,
+      emoji: article.emoji,
+      topics: await fetchTopics(article.slug)
+    });
+  }
+
+  const output = keepUnchanged(snapshot);
+  fs.writeFileSync(outputPath, `${JSON.stringify(output, null, 2)}\n`);
+  console.log(output === snapshot ?
+    `Wrote ${snapshot.articles.length} articles to ${path.relative(process.cwd(), outputPath)}` :
+    'Articles unchanged');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Projects Data Validator
+ * Checks data/projects.json against the schema in js/project-schema.js.
+ * Exits with status 1 when any project would be skipped (or, with
+ * --strict, when there are any warnings).
+ *
+ * Usage: node scripts/validate-projects.js [--strict] [path]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProjectSchema = require('../js/project-schema.js');
+
+// The schema uses the browser's PortfolioUtils global
+global.PortfolioUtils = require('../js/utils.js');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const filePath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'projects.json');
+
+function main() {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { data, issues } = ProjectSchema.validate(document);
+  issues.forEach(issue => console.log(ProjectSchema.formatIssue(issue)));
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+  console.log(`${path.relative(process.cwd(), filePath)}: ${data.projects.length} valid projects, ${errors} errors, ${warnings} warnings`);
+
+  if (errors > 0 || (strict && warnings > 0)) {
+    process.exit(1);
+  }
+}
+
+main();